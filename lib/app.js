@@ -4,8 +4,17 @@ const CTX = require('./ctx');
 const core = require('@lumjs/core');
 const WC = require('@lumjs/web-core');
 const WS = require('@lumjs/web-service');
-const {makeObservable} = require('./util');
-const {def,F,S,B,isObj} = core.types;
+const AppState = require('./state');
+const Interceptors = require('./interceptors');
+const config = require('./config');
+const FeatureFlags = require('./features');
+const I18n = require('./i18n');
+const Components = require('./components');
+const Inspector = require('./inspector');
+const PerfMonitor = require('./perf');
+const MockService = require('./mock');
+const {makeObservable,isThenable} = require('./util');
+const {def,F,S,B,N,isObj} = core.types;
 const DEFAULT_OPTIONS = {};
 
 /**
@@ -25,7 +34,17 @@ const DEFAULT_OPTIONS = {};
  * 
  * @prop {object} ws - Storage for Webservice instances.
  * @prop {object} ext - Storage for Extension instances. 
- * @prop {object} options - Options passed to the constructor.
+ * @prop {object} options - Options merged from all configuration layers.
+ * @prop {module:@lumjs/web-app/state} state - Observable app state store.
+ * @prop {module:@lumjs/web-app/features} features - Feature flags.
+ * @prop {module:@lumjs/web-app/i18n} i18n - Internationalization.
+ * @prop {module:@lumjs/web-app/components} components - DOM components.
+ * @prop {module:@lumjs/web-app/inspector} inspector - Debugging inspector.
+ * @prop {module:@lumjs/web-app/perf} perf - Performance instrumentation.
+ * @prop {module:@lumjs/web-app/interceptors} interceptors - Interceptors
+ * used by all Webservice instances added to this app.
+ * @prop {module:@lumjs/web-app/modules.Registry} [registry] - The module
+ * registry, if this App instance has been registered with one.
  *
  */
 class WebApp 
@@ -42,7 +61,12 @@ class WebApp
    *
    * @param {object} [options] Options (all optional, obviously)
    * 
-   * Will be assigned to the `options` instance property.
+   * Will be merged with the other configuration layers (class defaults,
+   * a JSON config block, root element attributes, and whitelisted URL 
+   * query parameters) and assigned to the `options` instance property.
+   * See {@link module:@lumjs/web-app/config} for details.
+   * 
+   * @param {(object|false)} [options.config] Configuration loader settings.
    * 
    * @param {object} [options.observable={}] Options for `core.observable()`;
    *
@@ -53,40 +77,222 @@ class WebApp
    * The default is `true`, but if for whatever reason you want to disable
    * the auto-start feature, just set this to `false`.
    * 
+   * @param {function} [options.whenReady] Used to register the auto-start;
+   * passed a callback to call once the DOM is ready. 
+   * The default is `@lumjs/web-core.whenReady`; this is mostly for 
+   * testing outside of a browser (see `@lumjs/web-app/testing`).
+   * 
    * @param {boolean} [options.allExtFirst=false] See `triggerAll()`
+   * 
+   * @param {(boolean|object)} [options.debug=false] Debugging mode.
+   * 
+   * If enabled, `add()` will log what is being added, the `inspector`
+   * will trace all events, and event listeners will be tracked for the
+   * `inspect()` snapshots. See {@link module:@lumjs/web-app/inspector}
+   * for the options that may be used if this is an object.
+   * 
+   * @param {object} [options.extensions] Options for extensions.
+   * 
+   * Each key is an extension id, and the value is the options for that
+   * extension. See {@link module:@lumjs/web-app/extension#configure}.
+   * 
+   * @param {boolean} [options.faultIsolation=false] Isolate extensions?
+   * 
+   * If `true`, errors thrown by an extension during `triggerExt()`,
+   * `extCall()`, or `triggerAllAsync()` are caught, so that the remaining
+   * extensions still get their turn. Each error is reported with an
+   * `extensionError` event on this App instance (see `extFault()`).
+   * 
+   * @param {number} [options.maxFaults=0] Disable faulty extensions?
+   * 
+   * If greater than `0` (and `options.faultIsolation` is `true`), an
+   * extension will be disabled automatically once it has this many faults.
+   * See `disableExt()` for details.
+   * 
+   * @param {string} [options.wsTransport='fetch'] Webservice transport.
+   * 
+   * The name of the method that Webservice instances use to send their
+   * HTTP requests. It is expected to work like `fetch(url, init)`.
+   * When a Webservice is added to this App, that method is wrapped so
+   * that it uses the app `interceptors`, and triggers the `ws:request`,
+   * `ws:response`, and `ws:error` events (see `wsRequest()` for details).
+   * If a Webservice doesn't have the method (and hasn't been mocked with
+   * `mockWs()` first), a `TypeError` is thrown when it is added, as its
+   * requests couldn't use the interceptors.
+   * 
+   * @param {object} [options.mockServices] Mock webservices.
+   * 
+   * If specified, each key is a Webservice id, and the value is passed
+   * to `mockWs()` during construction (before `init()`).
+   * 
+   * @param {object} [options.features] Initial feature flags.
+   * 
+   * Each key is a flag name, and the value is `true` or `false`.
+   * See {@link module:@lumjs/web-app/features} for details.
+   * 
+   * @param {string} [options.featurePath='features'] State path for
+   * the feature flags.
+   * 
+   * @param {object} [options.components] Component options.
+   * 
+   * See {@link module:@lumjs/web-app/components} for details.
+   * 
+   * @param {object} [options.i18n] Internationalization options.
+   * 
+   * See {@link module:@lumjs/web-app/i18n} for details.
+   * 
+   * @param {(boolean|object)} [options.perf=false] Time extension handlers?
+   * 
+   * See {@link module:@lumjs/web-app/perf} for details, and `perfReport()`
+   * for getting the results.
+   * 
+   * @param {object} [options.persist] Persistent state options.
+   * 
+   * If specified, `this.state.persist(options.persist.paths, options.persist)`
+   * will be called during construction (before `init()`).
+   * See {@link module:@lumjs/web-app/state#persist} for details.
+   * 
+   * @param {(boolean|string)} [options.asyncLifecycle=false] Async mode.
+   * 
+   * If this is `false` (the default), the lifecycle methods trigger their
+   * events synchronously, and any return values are ignored.
+   * 
+   * If this is `true` or `'serial'`, then the lifecycle methods will use
+   * `triggerAllAsync()`, waiting for any promises returned by the hooks
+   * of each target (this App instance, or an extension) to be resolved 
+   * before moving on to the next target.
+   * 
+   * If this is `'parallel'`, the events are triggered on all targets
+   * right away, and then all of the promises are waited on together.
+   * 
+   * See `start()` and `waitFor()` for more details.
    */
   constructor(options)
   {
-    def(this, CTX.EXTS_LIST,          []);
-    def(this, CTX.INITED,          false);
-    def(this, CTX.STARTED,         false);
-    def(this, CTX.DATA_MAPS,   new Map());
+    def(this, CTX.EXTS_LIST,                 []);
+    def(this, CTX.INITED,                 false);
+    def(this, CTX.STARTED,                false);
+    def(this, CTX.DATA_MAPS, {value: new Map()});
+    def(this, CTX.RESOLVING,          new Set());
+    def(this, CTX.PENDING,                 null);
+    def(this, CTX.WAITING,                   []);
+    def(this, CTX.STARTING,                null);
+    def(this, CTX.LAZY,      {value: new Map()});
+    def(this, CTX.FAULTS,    {value: new Map()});
+    def(this, CTX.DISABLED,           new Set());
+    def(this, CTX.VETOABLE,           new Set());
+    def(this, CTX.SERVICES,  {value: new Map()});
+    def(this, CTX.INJECTING,          new Set());
+    def(this, CTX.WS_MOCKS,  {value: new Map()});
+
+    const ready = {};
+    def(this, CTX.READY, ready);
+
+    /**
+     * A promise that will be resolved with this App instance once
+     * the `start()` method has finished the first time.
+     * 
+     * In async mode, that means after every extension has finished
+     * starting (see `options.asyncLifecycle` for details).
+     * 
+     * If an error is thrown during an async start, it will be rejected.
+     * As the `start()` promise is rejected with the same error, a
+     * rejection of this promise is not reported as unhandled unless
+     * it is used (e.g. with `then()`) without handling it.
+     * 
+     * @name module:@lumjs/web-app/app#ready
+     * @type {Promise}
+     */
+    const readyPromise = new Promise((resolve, reject) =>
+    {
+      ready.resolve = resolve;
+      ready.reject  = reject;
+    });
+    readyPromise.catch(() => {}); // See above.
+    def(this, 'ready', readyPromise);
 
-    // Internal options object
-    const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    // Merge all of the configuration layers.
+    const loaded = config.load(this.constructor, options);
+    const opts = loaded.options;
 
     // Save the options for future reference.
     def(this, 'options', {value: opts});
 
+    /**
+     * Where each of the `options` came from.
+     * 
+     * Keys are option paths (`router.mode`), values are layer names.
+     * See {@link module:@lumjs/web-app/config.load} for details.
+     * 
+     * @name module:@lumjs/web-app/app#optionSources
+     * @type {object}
+     */
+    def(this, 'optionSources', {value: loaded.sources});
+
     // A public container for Webservice instances.
     def(this, 'ws', {});
 
     // And a public container for Extension instances.
     def(this, 'ext', {});
 
-    // A container for general app 'state'
-    def(this, 'state', 
+    // Interceptors for all of the Webservice instances.
+    def(this, 'interceptors', {value: new Interceptors()});
+
+    // An observable store for general app 'state'
+    def(this, 'state', {value: new AppState(this,
     {
       autoStart: opts.autoStart ?? true
-    });
+    })});
+
+    // Feature flags (stored in the state).
+    def(this, 'features', {value: new FeatureFlags(this, 
+      opts.features, opts.featurePath)});
+
+    // A debugging inspector (see options.debug).
+    def(this, 'inspector', {value: new Inspector(this, opts.debug)});
+
+    // Performance instrumentation (see options.perf).
+    def(this, 'perf', {value: new PerfMonitor(this, opts.perf)});
+
+    // Declarative DOM components.
+    def(this, 'components', 
+      {value: new Components(this, opts.components)});
+
+    // Internationalization (also available as a service).
+    def(this, 'i18n', {value: new I18n(this, opts.i18n)});
+    this.provide('i18n', this.i18n);
+
+    if (isObj(opts.mockServices))
+    {
+      for (const wsId in opts.mockServices)
+      {
+        this.mockWs(wsId, opts.mockServices[wsId]);
+      }
+    }
+
+    if (isObj(opts.persist))
+    {
+      this.state.persist(opts.persist.paths ?? [], opts.persist);
+    }
 
     makeObservable(this, opts);
+    this.inspector.attach(this);
 
     this.init(...arguments);
 
-    if (this.state.autoStart)
+    if (this.state.get('autoStart'))
     {
-      WC.whenReady(() => this.start());
+      const whenReady = (typeof opts.whenReady === F) 
+        ? opts.whenReady 
+        : WC.whenReady;
+      whenReady(() =>
+      {
+        const started = this.start();
+        if (isThenable(started))
+        { // Failures are reported by rejecting the `ready` promise.
+          started.catch(() => {});
+        }
+      });
     }
   }
 
@@ -103,14 +309,30 @@ class WebApp
    * Any arguments passed this this method will be used as
    * arguments for the events being triggered.
    * 
+   * In async mode (see `options.asyncLifecycle`), the `reinit` event
+   * is triggered with `triggerAllAsync()`, and a promise is returned.
+   * 
+   * Both events may be vetoed by a `beforeInit` or `beforeReinit` 
+   * event handler (see `triggerBefore()` for details). If the `init` 
+   * event is vetoed, `isInited` will remain `false`.
+   * 
+   * @returns {(undefined|Promise)}
    */
   init()
   {
     if (this[CTX.INITED])
     {
-      this.triggerAll('reinit', ...arguments);
+      if (this.options.asyncLifecycle)
+      {
+        let reinited = Promise.resolve(this);
+        this._unlessVetoed(['reinit', ...arguments], 
+          () => reinited = this.triggerAllAsync('reinit', ...arguments));
+        return reinited;
+      }
+      this._unlessVetoed(['reinit', ...arguments], 
+        () => this.triggerAll('reinit', ...arguments));
     }
-    else
+    else if (!this.triggerBefore('init', ...arguments).defaultPrevented)
     {
       this.trigger('init', ...arguments);
       def(this, CTX.INITED, true);
@@ -135,9 +357,175 @@ class WebApp
     return wsb;
   }
 
+  // part of add()
+  _addWebservice(ws)
+  {
+    this.ws[ws._id] = ws;
+
+    const meth = this.options.wsTransport ?? 'fetch';
+    if (ws[CTX.WS_TRANSPORT])
+    { // Already set up.
+      return;
+    }
+
+    if (typeof ws[meth] !== F && !this[CTX.WS_MOCKS].has(ws._id))
+    { // Its requests could not use the interceptors.
+      console.error({ws, app: this});
+      throw new TypeError(`Webservice '${ws._id}' has no '${meth}' method `
+        + "to use as its transport (see options.wsTransport)");
+    }
+
+    const app = this;
+    def(ws, CTX.WS_TRANSPORT, {value: ws[meth] ?? null});
+    ws[meth] = function(url, init)
+    {
+      return app.wsRequest(this, url, init);
+    }
+  }
+
+  /**
+   * Send a request using a Webservice's original transport.
+   * 
+   * This is what the wrapped transport method of every Webservice 
+   * added to this App calls. The steps are:
+   * 
+   * - Build a request object with `ws`, `id`, `url`, and `init` properties.
+   * - Pass it through the `interceptors.request` chain.
+   * - Trigger a `ws:request` event via `triggerAll()` with the request.
+   * - Call the original transport method with `request.url` and
+   *   `request.init` as the arguments. If the webservice has been
+   *   mocked (see `mockWs()`), the mock is used instead.
+   * - Pass the response through the `interceptors.response` chain.
+   * - Trigger a `ws:response` event via `triggerAll()` with an object
+   *   that has `request` and `response` properties.
+   * 
+   * If an error is thrown at any point after the `ws:request` event,
+   * a `ws:error` event is triggered via `triggerAll()` with an object
+   * that has `request` and `error` properties, and then the error is 
+   * passed through the `interceptors.error` chain.
+   * 
+   * @param {object} ws - The Webservice instance.
+   * @param {string} url - The request URL.
+   * @param {object} [init] Request options (like `fetch()` uses).
+   * @returns {Promise} Resolves to the (intercepted) response.
+   */
+  async wsRequest(ws, url, init)
+  {
+    let request = 
+    {
+      ws, url, 
+      id: ws._id, 
+      init: Object.assign({}, init),
+    };
+
+    request = await this.interceptors.request.run(request);
+    this.triggerAll('ws:request', request);
+
+    try
+    {
+      const mock = this[CTX.WS_MOCKS].get(ws._id);
+      const transport = ws[CTX.WS_TRANSPORT];
+      if (!mock && typeof transport !== F)
+      { // It only had the mock (which has been removed).
+        throw new TypeError(`Webservice '${ws._id}' has no transport`);
+      }
+      let response = mock 
+        ? await mock.fetch(request.url, request.init)
+        : await transport.call(ws, request.url, request.init);
+      response = await this.interceptors.response.run(response, request);
+      this.triggerAll('ws:response', {request, response});
+      return response;
+    }
+    catch (error)
+    {
+      this.triggerAll('ws:error', {request, error});
+      return this.interceptors.handleError(error, request);
+    }
+  }
+
+  /**
+   * Replace the transport of a webservice with a mock.
+   * 
+   * The webservice does not have to be added yet; the mock will be used
+   * once it is. Requests to a mocked webservice still go through the 
+   * interceptors, and trigger the usual events (see `wsRequest()`).
+   * 
+   * @param {string} id - The webservice id.
+   * @param {(object|string)} [routes] Fixture routes for the mock.
+   * 
+   * If this is a `MockService` instance, it will be used directly.
+   * 
+   * If this is a `string`, it is the id of a module in `this.registry`
+   * (see {@link module:@lumjs/web-app/modules}), which must be the
+   * fixture routes object (such as a JSON file).
+   * 
+   * Otherwise it's the fixture routes object; 
+   * see {@link module:@lumjs/web-app/mock} for details.
+   * 
+   * @param {object} [opts] Options for a new `MockService` instance.
+   * 
+   * @returns {module:@lumjs/web-app/mock} The mock service instance,
+   * which may be used to add more routes, or check the recorded calls.
+   * 
+   * @throws {RangeError} If `routes` is a module id that wasn't found.
+   */
+  mockWs(id, routes={}, opts={})
+  {
+    if (typeof routes === S)
+    {
+      const modId = routes;
+      routes = this.registry?.getInstanceFor(modId);
+      if (!isObj(routes))
+      {
+        throw new RangeError(`Fixture module '${modId}' not found`);
+      }
+    }
+
+    const mock = (routes instanceof MockService)
+      ? routes
+      : new MockService(routes, opts);
+
+    this[CTX.WS_MOCKS].set(id, mock);
+
+    const ws = this.ws[id];
+    if (ws)
+    { // Make sure the transport is wrapped.
+      this._addWebservice(ws);
+    }
+
+    return mock;
+  }
+
+  /**
+   * Stop using a mock for a webservice.
+   * 
+   * If the webservice has no transport method of its own (it was only
+   * added because it had been mocked), its requests will be rejected
+   * with a `TypeError` from now on.
+   * 
+   * @param {string} id - The webservice id.
+   * @returns {object} `this`
+   */
+  unmockWs(id)
+  {
+    this[CTX.WS_MOCKS].delete(id);
+    return this;
+  }
+
+  // Called by the Extension constructor (before the `init` event),
+  // and by add() (for extensions that were built without an app).
+  // May be called more than once for the same extension.
+  // Sub-classes may extend this to set up extensions early.
+  _setupExt(ext)
+  {
+    this.inspector.attach(ext);
+  }
+
   // part of add()
   _addExt(ext)
   {
+    this._setupExt(ext);
+
     const id = ext.id;
 
     if (this.ext[id])
@@ -149,8 +537,435 @@ class WebApp
       return;
     }
 
-    this[CTX.EXTS_LIST].push(ext);
+    const list = this[CTX.EXTS_LIST];
+    const sorted = this._sortExts(list.concat([ext]));
+    list.splice(0, list.length, ...sorted);
     this.ext[id] = ext;
+
+    const messages = ext.constructor.messages;
+    if (isObj(messages))
+    { // Message catalogs for the extension.
+      for (const locale in messages)
+      {
+        this.i18n.add(locale, messages[locale], id);
+      }
+    }
+
+    if (this[CTX.STARTED])
+    { // Mount any components for the extension.
+      this.components.scan(ext);
+    }
+  }
+
+  // part of add()
+  _addDeps(ext)
+  {
+    const cls = (typeof ext === F) ? ext : ext.constructor;
+    const deps = cls.requires;
+    if (!Array.isArray(deps)) return;
+
+    const resolving = this[CTX.RESOLVING];
+    if (resolving.has(cls))
+    {
+      const chain = [...resolving, cls].map(c => c.name).join(' -> ');
+      throw new RangeError("Circular extension dependency: "+chain);
+    }
+
+    resolving.add(cls);
+    try
+    {
+      for (const dep of deps)
+      {
+        if (typeof dep === F && !this.findExt(dep))
+        { // A class that has not been added yet.
+          this.add(dep);
+        }
+      }
+    }
+    finally
+    {
+      resolving.delete(cls);
+    }
+  }
+
+  // part of add(); find circular dependencies before an extension is set up.
+  _checkDeps(ext)
+  {
+    const deps = ext.constructor.requires;
+    if (!Array.isArray(deps) || this[CTX.EXTS_LIST].includes(ext)) return;
+
+    let id;
+    const isExt = (dep) =>
+    {
+      if (typeof dep === F) return (ext instanceof dep);
+      if (typeof dep !== S || this.findExt(dep)) return false;
+      if (id === undefined)
+      { // Only resolved if a loaded extension requires an unknown id.
+        try
+        {
+          id = ext.id;
+        }
+        catch (err)
+        {
+          id = this.idRegistry.id(ext);
+        }
+      }
+      return (dep === id);
+    }
+
+    const seen = new Set();
+    const visit = (reqs, path) =>
+    {
+      for (const dep of reqs)
+      {
+        const dext = this.findExt(dep);
+        if (!dext || seen.has(dext)) continue;
+        seen.add(dext);
+
+        const chain = path.concat([dext]);
+        const dreqs = dext.constructor.requires;
+        if (!Array.isArray(dreqs)) continue;
+        if (dreqs.some(isExt))
+        {
+          const names = [ext, ...chain, ext].map(e => e.constructor.name);
+          throw new RangeError("Circular extension dependency: "
+            + names.join(' -> '));
+        }
+        visit(dreqs, chain);
+      }
+    }
+
+    visit(deps, []);
+  }
+
+  // part of add()
+  _sortExts(list)
+  {
+    const sorted = [], done = new Set(), path = [];
+
+    const visit = (ext) =>
+    {
+      if (done.has(ext)) return;
+      if (path.includes(ext))
+      {
+        const chain = path.slice(path.indexOf(ext)).concat([ext])
+          .map(e => e.constructor.name).join(' -> ');
+        throw new RangeError("Circular extension dependency: "+chain);
+      }
+
+      path.push(ext);
+      const deps = ext.constructor.requires;
+      if (Array.isArray(deps))
+      {
+        for (const dep of deps)
+        {
+          const dext = this.findExt(dep, list);
+          if (dext && dext !== ext)
+          {
+            visit(dext);
+          }
+        }
+      }
+      path.pop();
+
+      done.add(ext);
+      sorted.push(ext);
+    }
+
+    for (const ext of list)
+    {
+      visit(ext);
+    }
+
+    return sorted;
+  }
+
+  // part of add()
+  _addLazy(loader, opts)
+  {
+    const lazy = {loader, opts, handlers: [], ext: null, promise: null};
+    const id = opts.id;
+    const lazies = this[CTX.LAZY];
+
+    lazies.set(loader, lazy);
+    if (typeof id === S)
+    {
+      lazies.set(id, lazy);
+    }
+
+    const load = (ename, args) =>
+    {
+      this._loadLazy(lazy, ename, args).catch(err =>
+      {
+        console.error("Lazy extension failed to load", {err, lazy, app: this});
+      });
+    }
+
+    const listen = (ename, handler) =>
+    {
+      this.on(ename, handler);
+      lazy.handlers.push([ename, handler]);
+    }
+
+    if (opts.event !== undefined)
+    {
+      for (const ename of [].concat(opts.event))
+      {
+        listen(ename, (...args) => load(ename, args));
+      }
+    }
+
+    if (opts.route !== undefined)
+    {
+      const routes = [].concat(opts.route);
+      listen('route', (route) =>
+      {
+        const path = (typeof route === S) ? route : route?.path;
+        if (typeof path !== S) return;
+        if (routes.some(r => (r instanceof RegExp) 
+          ? r.test(path) 
+          : path.startsWith(r)))
+        {
+          load();
+        }
+      });
+    }
+
+    if (opts.access && typeof id === S && !this.ext[id])
+    {
+      def(this.ext, id,
+      {
+        get: () =>
+        {
+          load();
+          return lazy.ext ?? undefined;
+        },
+        configurable: true,
+      });
+      lazy.access = true;
+    }
+  }
+
+  // part of add() and loadExt()
+  _loadLazy(lazy, ename, args)
+  {
+    if (lazy.promise)
+    {
+      return lazy.promise;
+    }
+
+    for (const [hname, handler] of lazy.handlers)
+    {
+      this.off(hname, handler);
+    }
+
+    if (lazy.access)
+    { // Remove the placeholder getter.
+      delete this.ext[lazy.opts.id];
+    }
+
+    const loaded = (mod) =>
+    {
+      this._lazyLoaded(lazy, mod);
+      if (typeof ename === S)
+      { // Let the extension know about the event that loaded it.
+        lazy.ext.trigger(ename, ...args);
+      }
+      return lazy.ext;
+    }
+
+    try
+    {
+      const mod = lazy.loader.call(this, this);
+      lazy.promise = isThenable(mod)
+        ? Promise.resolve(mod).then(loaded)
+        : Promise.resolve(loaded(mod));
+    }
+    catch (err)
+    {
+      lazy.promise = Promise.reject(err);
+    }
+
+    return lazy.promise;
+  }
+
+  // part of _loadLazy()
+  _lazyLoaded(lazy, mod)
+  {
+    const {opts} = lazy;
+
+    if (isObj(mod) && !(mod instanceof Extension))
+    { // A module object, get the export.
+      mod = mod[opts.export ?? 'default'];
+    }
+
+    if (!(mod instanceof Extension || Extension.isPrototypeOf(mod)))
+    {
+      this._invalid('lazy-loaded Extension', mod);
+    }
+
+    this.add(mod, opts.options);
+    lazy.ext = (mod instanceof Extension) ? mod : this.findExt(mod);
+
+    const lazies = this[CTX.LAZY];
+    lazies.delete(lazy.loader);
+    if (lazies.get(opts.id) === lazy)
+    {
+      lazies.delete(opts.id);
+    }
+
+    if (typeof opts.onLoad === F)
+    {
+      opts.onLoad.call(this, lazy.ext);
+    }
+
+    this.trigger('lazyLoaded', lazy.ext);
+  }
+
+  /**
+   * Load a lazy-loaded extension right away.
+   * 
+   * @param {(string|function)} query - The `lazy.id` or loader function
+   * that was passed to `add()`. If it is an id of an extension that has
+   * already been loaded, the promise will resolve to that extension.
+   * 
+   * @returns {Promise} Resolves to the Extension instance once loaded.
+   * Will be rejected if loading failed, or no extension was found.
+   */
+  loadExt(query)
+  {
+    const lazy = this[CTX.LAZY].get(query);
+    if (lazy)
+    {
+      return this._loadLazy(lazy);
+    }
+
+    const ext = (typeof query === S) ? this.findExt(query) : undefined;
+    if (ext)
+    {
+      return Promise.resolve(ext);
+    }
+
+    return Promise.reject(new RangeError("Unknown lazy extension"));
+  }
+
+  /**
+   * Remove an extension from this App instance.
+   * 
+   * If the app has been started, a `stop` event will be triggered on
+   * the extension, followed by a `destroy` event. Then the extension
+   * will be removed from the private list and from `this.ext`,
+   * its `dataFor()` map will be cleared, and its id will be released
+   * (see `idRegistry`).
+   * 
+   * Any other loaded extensions that require the extension being removed
+   * (see `add()` for details on dependencies) will be removed first,
+   * unless `opts.dependents` is `false`.
+   * 
+   * @param {(object|string|function)} ext - Extension to remove.
+   * 
+   * May be an Extension instance, an extension `id` string, 
+   * or an Extension class (see `findExt()` for details).
+   * 
+   * @param {object} [opts] Options
+   * @param {boolean} [opts.dependents=true] Remove the dependents too?
+   * 
+   * @returns {object} `this`
+   */
+  remove(ext, opts={})
+  {
+    if (!(ext instanceof Extension))
+    {
+      ext = this.findExt(ext);
+    }
+
+    const list = this[CTX.EXTS_LIST];
+    if (!list.includes(ext))
+    { // Nothing to do here.
+      return this;
+    }
+
+    if (opts.dependents ?? true)
+    {
+      for (const dext of this._dependentsOf(ext).reverse())
+      {
+        this.remove(dext);
+      }
+    }
+
+    this.components.unmountAll(ext);
+
+    if (this[CTX.STARTED])
+    {
+      ext.trigger('stop');
+    }
+    ext.trigger('destroy');
+
+    this._removeExt(ext);
+    return this;
+  }
+
+  // part of remove()
+  _dependentsOf(ext)
+  {
+    const id = ext.id;
+    return this[CTX.EXTS_LIST].filter(dext =>
+    {
+      const deps = dext.constructor.requires;
+      return (dext !== ext && Array.isArray(deps) && deps.some(dep =>
+        (typeof dep === F && ext instanceof dep) || dep === id));
+    });
+  }
+
+  // part of remove() and destroy()
+  _removeExt(ext)
+  {
+    const list = this[CTX.EXTS_LIST];
+    const id = ext.id;
+
+    const pos = list.indexOf(ext);
+    if (pos !== -1)
+    {
+      list.splice(pos, 1);
+    }
+
+    if (this.ext[id] === ext)
+    {
+      delete this.ext[id];
+    }
+
+    this[CTX.DATA_MAPS].delete(ext);
+    this[CTX.FAULTS].delete(ext);
+    this[CTX.DISABLED].delete(ext);
+
+    // Release the id.
+    delete ext[CTX.OBJECT_ID];
+  }
+
+  /**
+   * Find a loaded extension.
+   * 
+   * @param {(string|function)} query - What we are looking for.
+   * 
+   * If this is a `string` it is the `id` of the extension.
+   * 
+   * If this is a `function` it must be an `Extension` class constructor,
+   * and the first loaded extension that is an instance of it is returned.
+   * 
+   * @param {Array} [list] Extensions to search (for internal use only).
+   * 
+   * @returns {(module:@lumjs/web-app/extension|undefined)}
+   */
+  findExt(query, list=this[CTX.EXTS_LIST])
+  {
+    if (typeof query === S)
+    {
+      return list.find(ext => ext.id === query);
+    }
+    else if (typeof query === F)
+    {
+      return list.find(ext => ext instanceof query);
+    }
   }
 
   /**
@@ -169,15 +984,43 @@ class WebApp
    * If it is an Extension `object`, then we will see if its `app` is this
    * instance, and if not, we will reset the `app` to be this instance.
    * 
-   * Extensions are stored in a private array in the order they were added in.
-   * They are also assigned as `this.ext[ext.id]` for named lookups.
+   * If the Extension class has a static `requires` property, it must be
+   * an array of other Extension classes, or extension `id` strings, that
+   * it depends on. Any classes that have not been added yet will be added
+   * automatically before the extension itself. An `id` string cannot be
+   * added automatically, but if an extension with that id is added later,
+   * it will be moved ahead of any extensions that require it.
+   * 
+   * Extensions are stored in a private array in the order they were added
+   * in, except that dependencies are always placed before the extensions
+   * that require them. They are also assigned as `this.ext[ext.id]` 
+   * for named lookups.
+   * 
+   * If the Extension class has a static `messages` property, each key
+   * is a locale, and each value is a message catalog that will be added
+   * to `this.i18n` using the extension id as the namespace.
+   * 
+   * If the Extension class has a static `selector` property, components
+   * will be mounted for each matching element once this App has started
+   * (see {@link module:@lumjs/web-app/components}).
+   * 
+   * If the Extension class has a static `feature` property, it is the
+   * name of a feature flag, and the extension will only be added while
+   * that flag is enabled. It will be added or removed automatically
+   * if the flag changes (see {@link module:@lumjs/web-app/features}).
    * 
    * If it is a `@lumjs/web-service/webservice` instance, it will be
-   * assigned as `this.ws[ext._id]` for future reference.
+   * assigned as `this.ws[ext._id]` for future reference, and its
+   * transport will be set up to use the app interceptors
+   * (see `options.wsTransport` for details).
    * 
    * If it is a `@lumjs/web-service/builder` instance, it will be built,
    * then treated the same as a `webservice` instance.
    * 
+   * If it is any other kind of `function` and the `lazy` argument was
+   * specified, then it is a _loader_ for a lazy-loaded extension, such as
+   * `() => import('./reports-ext.js')`. See `lazy` below for details.
+   * 
    * If it is a `string` then we will create a new Webservice Builder
    * instance using that as the `id`, and return it. The builder will be
    * set up so that when the `build()` method is called, the new
@@ -187,12 +1030,49 @@ class WebApp
    * your own specific types first, and then fall back on `super.add()`
    * for standard types.
    * 
+   * @param {object} [opts] Extension options, or lazy-loading conditions.
+   * 
+   * If `ext` is an Extension class or instance, these are the options
+   * for the extension, which will be merged with 
+   * `this.options.extensions[id]` and validated against the static 
+   * `options` schema of the extension class
+   * (see {@link module:@lumjs/web-app/extension#configure}).
+   * 
+   * If `ext` is a loader function, these are the conditions for a 
+   * lazy-loaded extension. The loader will be called
+   * (with this App instance as `this` and the sole argument) the first time
+   * one of the conditions is met. It may return the module (or a promise
+   * that resolves to the module), which may be an Extension class,
+   * an Extension instance, or an object with one of those as its `default`
+   * export (or the export named by `lazy.export`). The extension will then
+   * be passed to `add()` and will go through the normal lifecycle,
+   * including the `start` event if this App has already been started.
+   * 
+   * @param {string} [lazy.id] The id the extension will be using.
+   * Required for `lazy.access`, and recommended for `loadExt()`.
+   * @param {(string|string[])} [lazy.event] Load when this event
+   * (or one of these events) is triggered on this App instance;
+   * the event will be triggered on the extension once it has loaded.
+   * @param {(string|RegExp|Array)} [lazy.route] Load when a `route` event
+   * is triggered with a matching path (a `string` that is a prefix of
+   * the path, or a `RegExp` that matches it). The first argument of the
+   * `route` event may be the path, or an object with a `path` property.
+   * @param {boolean} [lazy.access=false] Load when `this.ext[lazy.id]`
+   * is accessed for the first time. If the loader is synchronous, the
+   * extension instance will be returned right away, otherwise the 
+   * property will be `undefined` until the extension has loaded.
+   * @param {string} [lazy.export='default'] Name of the module export.
+   * @param {function} [lazy.onLoad] Called with the extension when loaded.
+   * @param {object} [lazy.options] Options for the extension.
+   * 
    * @returns {object} Normally `this`, except if `ext` was a `string`.
-   * @throws {TypeError} If `ext` was not a valid value.
+   * @throws {TypeError} If `ext` was not a valid value,
+   * or the extension options were not valid.
+   * @throws {RangeError} If circular extension dependencies were found.
    * 
    * @see {@link module:@lumjs/web-app/extension}
    */
-  add(ext)
+  add(ext, opts)
   {
     if (Array.isArray(ext))
     { // A bunch of items to add.
@@ -215,12 +1095,32 @@ class WebApp
     {
       if (!Extension.isPrototypeOf(ext))
       {
+        if (isObj(opts))
+        { // A loader function for a lazy-loaded extension.
+          this._addLazy(ext, opts);
+          return this;
+        }
         this._invalid('Extension class', ext);
       }
-      this._addExt(new ext(this));
+      if (!this.features.gate(ext, opts))
+      { // The feature is disabled.
+        return this;
+      }
+      this._addDeps(ext);
+      this._addExt(new ext(this, opts));
     }
     else if (ext instanceof Extension)
     {
+      if (!this.features.gate(ext, opts))
+      { // The feature is disabled.
+        return this;
+      }
+      this._addDeps(ext);
+      this._checkDeps(ext);
+      if (isObj(opts))
+      { // New options for the extension.
+        ext.configure(this, opts);
+      }
       if (ext.getApp() !== this)
       { // Extension does not have this as its app.
         ext.setApp(this);
@@ -229,12 +1129,11 @@ class WebApp
     }
     else if (ext instanceof WS.Webservice)
     {
-      this.ws[ext._id] = ext;
+      this._addWebservice(ext);
     }
     else if (ext instanceof WS.Builder)
     {
-      const ws = ext.build();
-      this.ws[ws._id] = ws;
+      this._addWebservice(ext.build());
     }
     else
     {
@@ -249,15 +1148,148 @@ class WebApp
    * @param {...any} [args] Arguments for `trigger()`
    * @returns {object} `this`
    */
-  triggerExt()
+  triggerExt(...args)
   {
-    for (const ext of this[CTX.EXTS_LIST])
+    for (const ext of this._activeExts())
     {
-      ext.trigger(...arguments);
+      this._isolated(ext, args[0], () => ext.trigger(...args));
     }
     return this;
   }
 
+  // Loaded extensions that have not been disabled.
+  _activeExts()
+  {
+    const disabled = this[CTX.DISABLED];
+    return this[CTX.EXTS_LIST].filter(ext => !disabled.has(ext));
+  }
+
+  // Call a function, catching errors if using fault isolation.
+  _isolated(ext, ename, fn)
+  {
+    const timed = () => this.perf.time(ext, ename, fn);
+
+    if (!this.options.faultIsolation)
+    {
+      return timed();
+    }
+
+    try
+    {
+      return timed();
+    }
+    catch (error)
+    {
+      this.extFault(ext, ename, error);
+    }
+  }
+
+  /**
+   * Report a fault (an error thrown or a rejected promise) in an extension.
+   * 
+   * This is called automatically when using `options.faultIsolation`.
+   * 
+   * Increments the fault count for the extension, then triggers an
+   * `extensionError` event on this App instance (not the extensions),
+   * passing an object with the following properties:
+   * 
+   * - `extension` : The Extension instance.
+   * - `event`     : The event name (or the `fn` used by `extCall()`).
+   * - `error`     : The error that was thrown (or the rejection reason).
+   * - `faults`    : The number of faults for the extension so far.
+   * 
+   * If there are no `extensionError` listeners, the fault will be logged
+   * to the console instead.
+   * 
+   * If `options.maxFaults` is reached, the extension will be disabled.
+   * 
+   * @param {module:@lumjs/web-app/extension} ext - Extension at fault.
+   * @param {*} ename - Event name or function.
+   * @param {*} error - Error or reason.
+   * @returns {object} `this`
+   */
+  extFault(ext, ename, error)
+  {
+    const faultMap = this[CTX.FAULTS];
+    const faults = (faultMap.get(ext) ?? 0) + 1;
+    faultMap.set(ext, faults);
+
+    const status = this.trigger('extensionError', 
+      {extension: ext, event: ename, error, faults});
+
+    if (!status?.emitted?.length)
+    { // Nobody handled it.
+      console.error("Extension error", {ext, event: ename, error, app: this});
+    }
+
+    const max = this.options.maxFaults ?? 0;
+    if (max > 0 && faults >= max)
+    {
+      this.disableExt(ext);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the number of faults reported for an extension.
+   * @param {module:@lumjs/web-app/extension} ext 
+   * @returns {number}
+   */
+  faultsFor(ext)
+  {
+    return this[CTX.FAULTS].get(ext) ?? 0;
+  }
+
+  /**
+   * Disable an extension.
+   * 
+   * A disabled extension is still loaded (and is still in `this.ext`
+   * and `orderedExtensions`), but is skipped by `triggerExt()`, 
+   * `extCall()`, and the other methods that act on all extensions.
+   * 
+   * Triggers an `extensionDisabled` event on this App instance,
+   * passing the extension as the argument.
+   * 
+   * @param {module:@lumjs/web-app/extension} ext 
+   * @returns {object} `this`
+   */
+  disableExt(ext)
+  {
+    const disabled = this[CTX.DISABLED];
+    if (!disabled.has(ext))
+    {
+      disabled.add(ext);
+      this.trigger('extensionDisabled', ext);
+    }
+    return this;
+  }
+
+  /**
+   * Enable an extension that was disabled, and reset its fault count.
+   * @param {module:@lumjs/web-app/extension} ext 
+   * @returns {object} `this`
+   */
+  enableExt(ext)
+  {
+    this[CTX.FAULTS].delete(ext);
+    if (this[CTX.DISABLED].delete(ext))
+    {
+      this.trigger('extensionEnabled', ext);
+    }
+    return this;
+  }
+
+  /**
+   * Is an extension disabled?
+   * @param {module:@lumjs/web-app/extension} ext 
+   * @returns {boolean}
+   */
+  isDisabled(ext)
+  {
+    return this[CTX.DISABLED].has(ext);
+  }
+
   /**
    * Calls either `triggerThisExt()` or `triggerExtThis()`
    * depending on the `this.options.allExtFirst` value.
@@ -276,30 +1308,287 @@ class WebApp
     }
   }
 
-  /**
-   * Calls `this.trigger(...args)` then `this.triggerExt(...args)` to 
-   * trigger an event on this App instance, then all loaded extensions.
-   * @param {...any} [args]
-   * @returns {object} `this`
-   */
-  triggerThisExt()
+  /**
+   * An async version of `triggerAll()`.
+   * 
+   * Triggers the event on this App instance and all loaded extensions
+   * (in the same order that `triggerAll()` would), collecting any 
+   * promises passed to `waitFor()` by the event handlers, including the
+   * promises returned by extension hook methods.
+   * 
+   * If `options.asyncLifecycle` is `'parallel'`, the event is triggered
+   * on every target first, and then all collected promises are awaited.
+   * Otherwise the promises collected from each target are awaited
+   * before the event is triggered on the next target.
+   * 
+   * Like `triggerAll()`, this has a pre-event phase for events that
+   * were made cancelable (see `cancelable()`).
+   * 
+   * @param {...any} [args] Arguments for `trigger()`
+   * @returns {Promise} Resolves to `this` when all promises are resolved.
+   */
+  async triggerAllAsync(...args)
+  {
+    if (!this._beforeOk(args))
+    { // Vetoed by the pre-event phase.
+      return this;
+    }
+
+    const exts = this._activeExts();
+    const targets = this.options.allExtFirst
+      ? exts.concat([this])
+      : [this].concat(exts);
+    const parallel = (this.options.asyncLifecycle === 'parallel');
+    const pending = [];
+
+    for (const target of targets)
+    {
+      const isExt = (target !== this);
+      const trigger = () => target.trigger(...args);
+      const started = this.perf.now();
+      let waiting = this._collect(() => isExt 
+        ? this._isolated(target, args[0], trigger)
+        : trigger());
+
+      if (isExt)
+      {
+        this.perf.wait(target, args[0], started, waiting);
+      }
+
+      if (isExt && this.options.faultIsolation)
+      {
+        waiting = waiting.map(promise => Promise.resolve(promise)
+          .catch(err => this.extFault(target, args[0], err)));
+      }
+
+      if (parallel)
+      {
+        pending.push(...waiting);
+      }
+      else
+      {
+        await Promise.all(waiting);
+      }
+    }
+
+    await Promise.all(pending);
+    return this;
+  }
+
+  // part of triggerAllAsync()
+  _collect(fn)
+  {
+    const prev = this[CTX.PENDING];
+    const waiting = [];
+    def(this, CTX.PENDING, waiting);
+    try
+    {
+      fn();
+    }
+    finally
+    {
+      def(this, CTX.PENDING, prev);
+    }
+    return waiting;
+  }
+
+  /**
+   * Let the app know about a promise it should wait for.
+   * 
+   * This is meant to be called by event handlers during async lifecycle
+   * events (see `options.asyncLifecycle` and `triggerAllAsync()`).
+   * Extension hook methods that return a promise have it passed to this
+   * method automatically.
+   * 
+   * If no async event is currently being triggered, and the app has not
+   * been started yet, the promise will be saved and waited on before the
+   * `start` event is triggered (which is how async `init` hooks work).
+   * 
+   * If the app is not in async mode, this does nothing with the promise;
+   * the synchronous `start()` doesn't wait for anything.
+   * 
+   * @param {Promise} promise - The promise to wait for.
+   * @returns {Promise} The `promise` argument.
+   * @throws {TypeError} If `promise` is not a _thenable_ object.
+   */
+  waitFor(promise)
+  {
+    if (!isThenable(promise))
+    {
+      throw new TypeError("'promise' argument must be a thenable object");
+    }
+
+    if (this[CTX.PENDING])
+    {
+      this[CTX.PENDING].push(promise);
+    }
+    else if (!this[CTX.STARTED] && this.options.asyncLifecycle)
+    {
+      this[CTX.WAITING].push(promise);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Calls `this.trigger(...args)` then `this.triggerExt(...args)` to 
+   * trigger an event on this App instance, then all loaded extensions.
+   * @param {...any} [args]
+   * @returns {object} `this`
+   */
+  triggerThisExt(...args)
+  {
+    if (this._beforeOk(args))
+    {
+      this.trigger(...args);
+      this.triggerExt(...args);
+    }
+    return this;
+  }
+
+  /**
+   * Calls `this.triggerExt(...args)` then `this.trigger(...args)` to 
+   * trigger an event on all loaded extensions, then this App instance.
+   * @param {...any} [args]
+   * @returns {object} `this`
+   */
+  triggerExtThis(...args)
+  {
+    if (this._beforeOk(args))
+    {
+      this.triggerExt(...args);
+      this.trigger(...args);
+    }
+    return this;
+  }
+
+  /**
+   * Make custom events cancelable.
+   * 
+   * When one of these events is triggered with `triggerThisExt()`,
+   * `triggerExtThis()` (and therefore `triggerAll()`), or 
+   * `triggerAllAsync()`, there is a pre-event phase that triggers a
+   * `before:<name>` event first (see `triggerBefore()`). If the before
+   * event is vetoed, the event itself will not be triggered at all.
+   * 
+   * Other events have no pre-event phase. The lifecycle events
+   * (`init`, `reinit`, `start`, `restart`, `stop`, and `destroy`)
+   * are always cancelable by the methods that trigger them, 
+   * and don't need to be added here.
+   * 
+   * @param {...string} names - The event names.
+   * @returns {object} `this`
+   */
+  cancelable(...names)
+  {
+    for (const name of names)
+    {
+      this[CTX.VETOABLE].add(name);
+    }
+    return this;
+  }
+
+  /**
+   * Trigger the cancelable _before_ event for an event.
+   * 
+   * This is the pre-event phase used by the lifecycle methods, 
+   * and when triggering events made cancelable with `cancelable()`.
+   * 
+   * The before event name for the lifecycle events is `before` followed
+   * by the capitalized event name (e.g. `beforeStart`, `beforeRestart`,
+   * `beforeInit`, `beforeStop`), and for any other events it is
+   * `before:<name>` (e.g. `before:save`).
+   * 
+   * The before event is triggered on this App instance and all enabled
+   * extensions (in the same order `triggerAll()` uses), with a before
+   * event object as the first argument, followed by the `args`.
+   * 
+   * The before event object has the following properties:
+   * 
+   * - `type`              : The before event name.
+   * - `name`              : The event name.
+   * - `args`              : The event arguments.
+   * - `target`            : This App instance.
+   * - `defaultPrevented`  : `true` if the event was vetoed.
+   * - `propagationStopped`: `true` if `stopPropagation()` was called.
+   * - `preventDefault()`  : Call this to veto the event.
+   * - `stopPropagation()` : Call this to stop the before event from
+   *                         being delivered to any more targets.
+   * 
+   * Extension hook methods (see `extension.setupHook()`) may also veto the
+   * event by returning `false`. Regular event handlers must use the 
+   * `preventDefault()` method.
+   * 
+   * @param {string} name - The event name.
+   * @param {...any} [args] The event arguments.
+   * @returns {object} The before event object.
+   */
+  triggerBefore(name, ...args)
+  {
+    const type = CTX.BEFORE_NAMES[name] ?? 'before:'+name;
+    const ev =
+    {
+      type, name, args, target: this,
+      defaultPrevented: false,
+      propagationStopped: false,
+      preventDefault()
+      {
+        this.defaultPrevented = true;
+      },
+      stopPropagation()
+      {
+        this.propagationStopped = true;
+      },
+    };
+
+    const exts = this._activeExts();
+    const targets = this.options.allExtFirst
+      ? exts.concat([this])
+      : [this].concat(exts);
+
+    for (const target of targets)
+    {
+      const trigger = () => target.trigger(type, ev, ...args);
+      if (target === this)
+      {
+        trigger();
+      }
+      else
+      {
+        this._isolated(target, type, trigger);
+      }
+
+      if (ev.propagationStopped)
+      {
+        break;
+      }
+    }
+
+    return ev;
+  }
+
+  // Run the pre-event phase (if applicable) and return true if not vetoed.
+  _beforeOk(args)
   {
-    this.trigger(...arguments);
-    this.triggerExt(...arguments);
-    return this;
+    if (!this[CTX.VETOABLE].has(args[0]))
+    { // No pre-event phase for this one.
+      return true;
+    }
+
+    return !this.triggerBefore(...args).defaultPrevented;
   }
 
-  /**
-   * Calls `this.triggerExt(...args)` then `this.trigger(...args)` to 
-   * trigger an event on all loaded extensions, then this App instance.
-   * @param {...any} [args]
-   * @returns {object} `this`
-   */
-  triggerExtThis()
+  // Run the pre-event phase for a lifecycle event, and if not vetoed,
+  // call fn(). The name may be an array of [name, ...args].
+  _unlessVetoed(name, fn)
   {
-    this.triggerExt(...arguments);
-    this.trigger(...arguments);
-    return this;
+    if (this.triggerBefore(...[].concat(name)).defaultPrevented)
+    {
+      return false;
+    }
+
+    fn();
+    return true;
   }
 
   /**
@@ -380,6 +1669,8 @@ class WebApp
       }
     }
 
+    const ename = fn;
+
     if (typeof fn === S)
     {
       const meth = fn;
@@ -396,9 +1687,9 @@ class WebApp
       throw new TypeError("'fn' argument must be a function or string");
     }
 
-    for (const ext of this[CTX.EXTS_LIST])
+    for (const ext of this._activeExts())
     {
-      const retVal = fn(ext, ...args);
+      const retVal = this._isolated(ext, ename, () => fn(ext, ...args));
       if (retVals)
       {
         retVals.set(ext, retVal);
@@ -409,6 +1700,163 @@ class WebApp
 
   } // extCall()
 
+  /**
+   * An async version of `extCall()`.
+   * 
+   * Makes a function call on every loaded extension, waiting for any
+   * promises that are returned, and reports the results in the style
+   * of `Promise.allSettled()`.
+   * 
+   * Like `extCall()`, the calls are timed (see `options.perf`), and if
+   * `options.faultIsolation` is enabled, each rejected call (or one that
+   * timed out) is reported with `extFault()`.
+   * 
+   * @param {(Map|object|bool)} [opts] Options modifying behaviours.
+   * 
+   * If you want to use the default behaviours, simply omit this argument
+   * and pass the `fn` as the first argument.
+   * 
+   * If this is a `Map` or `bool`, it is used as the `opts.rv` option,
+   * the same as in `extCall()`.
+   * 
+   * @param {(function|string)} [opts.fn] Explicitly assigned `fn` value;
+   * works the same as in `extCall()`.
+   * 
+   * @param {string} [opts.mode='parallel'] Either `'parallel'` or 
+   * `'sequential'` (which is the same as `opts.concurrency` being `1`).
+   * 
+   * @param {number} [opts.concurrency=Infinity] Maximum number of calls
+   * that may be pending at the same time in `'parallel'` mode.
+   * 
+   * @param {number} [opts.timeout=0] Timeout (in ms) for each call;
+   * if a call takes longer than this it will be rejected with an Error.
+   * If this is `0` (the default), there is no timeout.
+   * 
+   * @param {(Map|bool)} [opts.rv] Use this Map for the results instead of
+   * creating a new one. As a Map of results is always returned, a boolean
+   * value is accepted (for compatibility with `extCall()`) but ignored.
+   * 
+   * @param {(function|string)} fn - Call to make on each Extension.
+   * 
+   * Works the same as in `extCall()` except that if this is a `string`,
+   * extensions that do not have a method of that name are skipped,
+   * and will not be included in the results.
+   * 
+   * @param  {...any} args - Arguments to pass with each call.
+   * 
+   * @returns {Promise<Map>} Resolves to a Map of results once all of the
+   * calls have been settled. Each _key_ is an Extension, and each _value_
+   * is an object with the following properties:
+   * 
+   * - `status`   : Either `'fulfilled'` or `'rejected'`.
+   * - `value`    : The resolved value (if `fulfilled`).
+   * - `reason`   : The rejection reason or thrown error (if `rejected`).
+   * - `duration` : How long (in ms) the call took.
+   * 
+   * @throws {TypeError} If `fn` is not a `string` or `function`,
+   * or `opts.concurrency` is not a positive number.
+   */
+  async extCallAsync(fn, ...args)
+  {
+    let opts = {};
+
+    if (fn instanceof Map || typeof fn === B)
+    { // A map to add results to (or a boolean) was found.
+      fn = {rv: fn};
+    }
+
+    if (isObj(fn))
+    { // Options were specified.
+      opts = fn;
+      fn = (typeof opts.fn === F || typeof opts.fn === S)
+        ? opts.fn
+        : args.shift();
+    }
+
+    let exts = this._activeExts();
+    const ename = fn;
+
+    if (typeof fn === S)
+    {
+      const meth = fn;
+      exts = exts.filter(ext => typeof ext[meth] === F);
+      fn = (ext, ...args) => ext[meth](...args);
+    }
+    else if (typeof fn !== F)
+    {
+      throw new TypeError("'fn' argument must be a function or string");
+    }
+
+    const results = (opts.rv instanceof Map) ? opts.rv : new Map();
+    const timeout = opts.timeout ?? 0;
+    const limit = (opts.mode === 'sequential') 
+      ? 1 
+      : (opts.concurrency ?? Infinity);
+    const now = () => this.perf.now();
+
+    if (typeof limit !== N || !(limit >= 1))
+    {
+      throw new TypeError("'concurrency' must be a positive number");
+    }
+
+    const settled = [];
+    const call = async (ext, i) =>
+    {
+      const started = now();
+      let timer = null;
+      try
+      {
+        let pending = Promise.resolve(
+          this.perf.time(ext, ename, () => fn(ext, ...args)));
+        this.perf.wait(ext, ename, started, [pending]);
+        if (timeout > 0)
+        {
+          pending = Promise.race([pending, new Promise((_, reject) =>
+          {
+            timer = setTimeout(() => reject(
+              new Error(`Call to '${ext.id}' timed out after ${timeout}ms`)),
+              timeout);
+          })]);
+        }
+        const value = await pending;
+        settled[i] = {status: 'fulfilled', value, duration: now()-started};
+      }
+      catch (reason)
+      {
+        settled[i] = {status: 'rejected', reason, duration: now()-started};
+        if (this.options.faultIsolation)
+        {
+          this.extFault(ext, ename, reason);
+        }
+      }
+      finally
+      {
+        clearTimeout(timer);
+      }
+    }
+
+    let next = 0;
+    const worker = async () =>
+    {
+      while (next < exts.length)
+      {
+        const i = next++;
+        await call(exts[i], i);
+      }
+    }
+
+    const workers = [];
+    const count = Math.min(limit, exts.length);
+    for (let w = 0; w < count; w++)
+    {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    exts.forEach((ext, i) => results.set(ext, settled[i]));
+    return results;
+  }
+
   /**
    * Start the App (once the DOM is ready).
    * 
@@ -425,22 +1873,389 @@ class WebApp
    * Both of the possible events will use `triggerAll()` so they will be
    * triggered on this App instance as well as all loaded extensions.
    * 
-   * Neither this method, nor either of the events have any arguments.
+   * After the first start has finished, a `ready` event will be triggered
+   * (also using `triggerAll()`), and the `ready` promise will be resolved.
    * 
-   * @returns {object} `this`
+   * Neither this method, nor any of the events have any arguments.
+   * 
+   * The `start` and `restart` events may be vetoed by a `beforeStart`
+   * or `beforeRestart` event handler (see `triggerBefore()`), in which
+   * case nothing else is done, and `isStarted` will not be changed.
+   * 
+   * The first time, any persisted state will be restored before the
+   * `start` event is triggered (see `options.persist`). If the storage
+   * adapter is async, the `start` event (and the `ready` event) will be
+   * triggered once the state has been restored, even when not using
+   * async mode; in that case `isStarted` will still be `false` when
+   * this method returns.
+   * 
+   * In async mode (see `options.asyncLifecycle`), any promises from `init`
+   * hooks are waited on first, then the events are triggered using
+   * `triggerAllAsync()`, and this method returns a promise instead.
+   * 
+   * @returns {(object|Promise)} `this`, or a promise that will resolve 
+   * to `this` if using async mode.
    */
   start()
   {
+    if (this.options.asyncLifecycle)
+    {
+      return this._startAsync();
+    }
+
     if (this[CTX.STARTED])
     { 
-      this.triggerAll('restart');
+      this._unlessVetoed('restart', () => this.triggerAll('restart'));
+      return this;
     }
-    else
+
+    if (this[CTX.STARTING])
+    { // Already waiting for the state to be restored.
+      return this;
+    }
+
+    const restoring = this.state.restore();
+    if (isThenable(restoring))
+    { // Start once the state has been restored.
+      def(this, CTX.STARTING, restoring
+        .finally(() => def(this, CTX.STARTING, null))
+        .then(() => this.start())
+        .catch(err => console.error("Could not start", {err, app: this})));
+      return this;
+    }
+
+    if (this._unlessVetoed('start', () =>
     {
       this.triggerAll('start');
       def(this, CTX.STARTED, true);
+      this.components.connect();
+    }))
+    {
+      this._ready();
+    }
+
+    return this;
+  }
+
+  // part of start()
+  _startAsync()
+  {
+    if (this[CTX.STARTING])
+    { // Already in the process of starting.
+      return this[CTX.STARTING];
+    }
+
+    if (this[CTX.STARTED])
+    {
+      let restarted = Promise.resolve(this);
+      this._unlessVetoed('restart', 
+        () => restarted = this.triggerAllAsync('restart'));
+      return restarted;
+    }
+
+    const starting = (async () =>
+    {
+      try
+      {
+        const waiting = this[CTX.WAITING].splice(0);
+        await Promise.all(waiting);
+        await this.state.restore();
+
+        let started;
+        if (!this._unlessVetoed('start', 
+          () => started = this.triggerAllAsync('start')))
+        { // The start was vetoed.
+          return this;
+        }
+
+        await started;
+        def(this, CTX.STARTED, true);
+        this.components.connect();
+      }
+      catch (err)
+      {
+        this[CTX.READY].reject(err);
+        throw err;
+      }
+      finally
+      {
+        def(this, CTX.STARTING, null);
+      }
+
+      this._ready();
+      return this;
+    })();
+
+    def(this, CTX.STARTING, starting);
+    return starting;
+  }
+
+  // part of start()
+  _ready()
+  {
+    this.triggerAll('ready');
+    this[CTX.READY].resolve(this);
+  }
+
+  /**
+   * Stop the App.
+   * 
+   * If the app has been started, this will trigger a `stop` event via
+   * `triggerAll()`, and then mark the app as no longer started, so that
+   * the next call to `start()` will trigger `start` rather than `restart`.
+   * 
+   * If the app has not been started, or the `stop` event was vetoed by
+   * a `beforeStop` event handler, this does nothing.
+   * 
+   * @returns {object} `this`
+   */
+  stop()
+  {
+    if (this[CTX.STARTED])
+    {
+      this._unlessVetoed('stop', () =>
+      {
+        this.triggerAll('stop');
+        def(this, CTX.STARTED, false);
+        this.components.disconnect();
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Destroy the App.
+   * 
+   * Calls `stop()`, then triggers a `destroy` event via `triggerAll()`.
+   * Finally all extensions are removed (see `remove()`), and all of
+   * the `dataFor()` maps are cleared.
+   * 
+   * The `stop` and `destroy` events are NOT triggered a second time on
+   * each extension when they are removed by this method.
+   * 
+   * If either the `stop` or `destroy` events were vetoed (by `beforeStop`
+   * or `beforeDestroy` event handlers), then nothing else is done.
+   * 
+   * @returns {object} `this`
+   */
+  destroy()
+  {
+    this.stop();
+
+    if (this[CTX.STARTED] 
+      || !this._unlessVetoed('destroy', () => this.triggerAll('destroy')))
+    { // Vetoed.
+      return this;
+    }
+
+    this.components.unmountAll();
+
+    for (const ext of this[CTX.EXTS_LIST].slice().reverse())
+    {
+      this._removeExt(ext);
+    }
+
+    this[CTX.DATA_MAPS].clear();
+    return this;
+  }
+
+  /**
+   * Register a service with the dependency-injection container.
+   * 
+   * If a service with the same name was already registered, it will be
+   * replaced (which makes it easy to swap in fakes for testing).
+   * 
+   * @param {string} name - The service name.
+   * @param {*} factory - The service factory.
+   * 
+   * If this is a `function` it will be called (with this App instance as
+   * `this` and the sole argument) to create the service instance.
+   * 
+   * Any other value will be used as the service instance itself.
+   * 
+   * @param {object} [opts] Options
+   * @param {boolean} [opts.singleton=true] Only create one instance?
+   * If `false`, the factory is called every time the service is injected.
+   * @param {boolean} [opts.lazy=true] Wait until the service is injected
+   * to create the instance? If `false` (and `opts.singleton` is `true`),
+   * the instance is created right away.
+   * 
+   * @returns {object} `this`
+   */
+  provide(name, factory, opts={})
+  {
+    const isFactory = (typeof factory === F);
+    const service =
+    {
+      factory,
+      singleton: opts.singleton ?? true,
+      resolved: !isFactory,
+      instance: isFactory ? undefined : factory,
+    };
+
+    this[CTX.SERVICES].set(name, service);
+
+    if (isFactory && service.singleton && opts.lazy === false)
+    {
+      this.inject(name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get a service from the dependency-injection container.
+   * 
+   * @param {string} name - The service name.
+   * @returns {*} The service instance.
+   * @throws {RangeError} If the service is not registered, or there
+   * are circular dependencies between service factories.
+   */
+  inject(name)
+  {
+    const service = this[CTX.SERVICES].get(name);
+    if (!service)
+    {
+      throw new RangeError(`Unknown service '${name}'`);
+    }
+
+    if (service.resolved)
+    {
+      return service.instance;
+    }
+
+    const injecting = this[CTX.INJECTING];
+    if (injecting.has(name))
+    {
+      const chain = [...injecting, name].join(' -> ');
+      throw new RangeError("Circular service dependency: "+chain);
+    }
+
+    injecting.add(name);
+    try
+    {
+      const instance = service.factory.call(this, this);
+      if (service.singleton)
+      {
+        service.instance = instance;
+        service.resolved = true;
+      }
+      return instance;
+    }
+    finally
+    {
+      injecting.delete(name);
+    }
+  }
+
+  /**
+   * Is a service registered?
+   * @param {string} name - The service name.
+   * @returns {boolean}
+   */
+  hasService(name)
+  {
+    return this[CTX.SERVICES].has(name);
+  }
+
+  /**
+   * Inject services into a target object.
+   * 
+   * @param {object} target - The object to assign the services to.
+   * @param {(object|string[])} spec - Services to inject.
+   * 
+   * If this is an `object`, the keys are the property names to assign,
+   * and the values are the service names.
+   * 
+   * If this is an `Array`, the service names are used as the 
+   * property names as well.
+   * 
+   * @returns {object} The `target`
+   */
+  injectInto(target, spec)
+  {
+    if (Array.isArray(spec))
+    {
+      for (const name of spec)
+      {
+        target[name] = this.inject(name);
+      }
+    }
+    else if (isObj(spec))
+    {
+      for (const prop in spec)
+      {
+        target[prop] = this.inject(spec[prop]);
+      }
     }
+    return target;
+  }
+
+  /**
+   * Get a snapshot of this App for debugging.
+   * 
+   * Works even if `options.debug` is not enabled, but the listener
+   * counts and trace length will be empty in that case.
+   * 
+   * @returns {object} A snapshot with the following properties:
+   * 
+   * - `inited`, `started` : See `isInited` and `isStarted`.
+   * - `extensions` : An array with an object for each extension, with
+   *   `id`, `class`, `hooks` (names of hook methods it has), `listeners`
+   *   (event types and how many listeners each has), `requires`, 
+   *   `feature`, `disabled`, `faults`, and `components` (count) properties.
+   * - `webservices` : An array of `{id, class, mocked}` objects.
+   * - `modules` : The `modules` from `registry.manifest()` (if any).
+   * - `services` : The names of the provided services.
+   * - `listeners` : Event listeners on this App (like for extensions).
+   * - `state` : A copy of the state values.
+   * - `features` : The feature flags.
+   * - `locale` : The current locale.
+   * - `trace` : The number of events in the trace 
+   *   (use `inspector.trace()` to get them).
+   */
+  inspect()
+  {
+    return this.inspector.snapshot();
+  }
 
+  /**
+   * Get a report of how long extension handlers have taken.
+   * 
+   * Only available if `options.perf` is enabled 
+   * (see {@link module:@lumjs/web-app/perf}).
+   * 
+   * @param {string} [event] Only include this event (e.g. `'start'`).
+   * 
+   * @returns {object} A report with two properties:
+   * 
+   * - `handlers` : An array with an object for each extension and event,
+   *   with `id`, `event`, `count`, `total`, `avg`, and `max` properties.
+   * - `extensions` : An array with an object for each extension, 
+   *   with `id`, `count`, and `total` properties.
+   * 
+   * Both are sorted by the `total` time (in milliseconds), slowest first.
+   */
+  perfReport(event)
+  {
+    return this.perf.report(event);
+  }
+
+  /**
+   * Change the locale.
+   * 
+   * An alias for `this.i18n.setLocale()`; any lazily loaded bundles for 
+   * the locale are loaded, and then a `localeChange` event is triggered
+   * via `triggerAll()` with the new and old locales as the arguments.
+   * 
+   * @param {string} locale - The new locale, e.g. `'fr-CA'`.
+   * @returns {Promise} Resolves to `this` once the locale has changed.
+   * @see module:@lumjs/web-app/i18n#setLocale
+   */
+  async setLocale(locale)
+  {
+    await this.i18n.setLocale(locale);
     return this;
   }
 
@@ -460,7 +2275,7 @@ class WebApp
    */
   dataFor(key)
   {
-    const maps = this[SYM_DATA_MAPS];
+    const maps = this[CTX.DATA_MAPS];
     if (maps.has(key))
     {
       return maps.get(key);
@@ -474,7 +2289,9 @@ class WebApp
   }
 
   /**
-   * A list of extensions in the order they were added.
+   * A list of extensions in the order they were added,
+   * with dependencies always coming before the extensions that 
+   * require them (see `add()` for details).
    * 
    * This is a _shallow copy_ of the real list.
    */
@@ -527,6 +2344,11 @@ class WebApp
    * - `page2`
    * - `page3`
    * 
+   * The ids are stored in a private property of each object, rather than
+   * in the registry, so it doesn't keep removed extensions alive. When an
+   * extension is removed, that property is cleared, so the id is released;
+   * if the extension is added to an app again, it will get a new id.
+   * 
    * You can override this getter in your sub-class to customize
    * the behaviour of the default registry.
    * 
@@ -550,6 +2372,7 @@ class WebApp
         {
           return name.replace(CTX.AUTO_ID_STRIP, '').toLowerCase();
         },
+        idProperty: CTX.OBJECT_ID,
       });
     }
 
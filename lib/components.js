@@ -0,0 +1,311 @@
+"use strict";
+
+const CTX = require('./ctx');
+const core = require('@lumjs/core');
+const {def,F,S,isObj} = core.types;
+
+/**
+ * A component bound to a DOM element.
+ *
+ * One instance is created for each element matching the static `selector`
+ * of an Extension class. Extensions may use a custom sub-class by setting
+ * a static `component` property to it.
+ *
+ * @prop {module:@lumjs/web-app/extension} ext - The extension.
+ * @prop {Element} element - The element the component is bound to.
+ * @prop {module:@lumjs/web-app/app} app - The app.
+ *
+ * @alias module:@lumjs/web-app/components.Component
+ */
+class Component
+{
+  constructor(ext, element)
+  {
+    def(this, 'ext', ext);
+    def(this, 'element', element);
+    def(this, 'app', ext.app);
+  }
+
+  /**
+   * The data map for this component.
+   *
+   * An alias for `this.app.dataFor(this)`; it is removed when the
+   * component is unmounted.
+   *
+   * @type {Map}
+   */
+  get data()
+  {
+    return this.app.dataFor(this);
+  }
+
+  /**
+   * Called when the component is mounted.
+   *
+   * Does nothing by default; override it in sub-classes.
+   */
+  mount() {}
+
+  /**
+   * Called when the component is unmounted.
+   *
+   * Does nothing by default; override it in sub-classes.
+   */
+  unmount() {}
+}
+
+/**
+ * Declarative DOM components for extensions.
+ *
+ * If an Extension class has a static `selector` property, a component
+ * (see `Component`) is mounted for every element matching it when the
+ * app starts. A `MutationObserver` is then used to mount components for
+ * matching elements added to the document later, and to unmount them
+ * when their elements are removed.
+ *
+ * When a component is mounted, its `mount()` method is called, then a
+ * `mount` event is triggered on the extension with the component as the
+ * argument (and the same for `unmount`). If the extension has `mount()`
+ * or `unmount()` methods, they are called by those events.
+ *
+ * This is created by the App constructor as `app.components`.
+ * Nothing is done if there is no DOM (or no `MutationObserver`).
+ *
+ * @exports module:@lumjs/web-app/components
+ */
+class ComponentManager
+{
+  /**
+   * Build a component manager.
+   * @param {module:@lumjs/web-app/app} app - The parent App instance.
+   * @param {object} [opts] Options (usually `app.options.components`).
+   * @param {(Element|string)} [opts.root] The root element to look for
+   * components in (or a selector for it). Default: `document.body`
+   */
+  constructor(app, opts={})
+  {
+    def(this, 'app', app);
+    def(this, 'opts', opts);
+    def(this, 'mounted', {value: new Map()});
+    def(this, 'observer', null);
+  }
+
+  /**
+   * The root element (if there is a DOM).
+   * @type {?Element}
+   */
+  get root()
+  {
+    const doc = globalThis.document;
+    if (!isObj(doc)) return null;
+    const root = this.opts.root;
+    if (typeof root === S) return doc.querySelector(root);
+    if (isObj(root)) return root;
+    return doc.body ?? doc.documentElement;
+  }
+
+  /**
+   * Mount all components and start observing the document.
+   *
+   * Called by `app.start()`.
+   *
+   * @returns {object} `this`
+   */
+  connect()
+  {
+    const root = this.root;
+    if (!root) return this;
+
+    for (const ext of this.app.orderedExtensions)
+    {
+      this.scan(ext, root);
+    }
+
+    if (!this.observer && typeof globalThis.MutationObserver === F)
+    {
+      const observer = new MutationObserver(list => this._mutated(list));
+      observer.observe(root, {childList: true, subtree: true});
+      def(this, 'observer', observer);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop observing the document.
+   *
+   * Called by `app.stop()`; the components stay mounted.
+   *
+   * @returns {object} `this`
+   */
+  disconnect()
+  {
+    if (this.observer)
+    {
+      this.observer.disconnect();
+      def(this, 'observer', null);
+    }
+    return this;
+  }
+
+  /**
+   * Mount components for all matching elements for an extension.
+   * @param {module:@lumjs/web-app/extension} ext - The extension.
+   * @param {Element} [root=this.root] Element to look in (inclusive).
+   * @returns {object} `this`
+   */
+  scan(ext, root=this.root)
+  {
+    const selector = ext.constructor.selector;
+    if (typeof selector !== S || !root) return this;
+
+    if (typeof root.matches === F && root.matches(selector))
+    {
+      this.mount(ext, root);
+    }
+    for (const el of root.querySelectorAll(selector))
+    {
+      this.mount(ext, el);
+    }
+    return this;
+  }
+
+  /**
+   * Mount a component.
+   *
+   * @param {module:@lumjs/web-app/extension} ext - The extension.
+   * @param {Element} element - The element to bind to.
+   * @returns {module:@lumjs/web-app/components.Component} The component;
+   * if one was already mounted for the element, it is returned as is.
+   */
+  mount(ext, element)
+  {
+    const mounted = this.mounted;
+    if (!mounted.has(ext)) mounted.set(ext, new Map());
+    const comps = mounted.get(ext);
+
+    if (comps.has(element))
+    {
+      return comps.get(element);
+    }
+
+    const CompClass = Component.isPrototypeOf(ext.constructor.component)
+      ? ext.constructor.component
+      : Component;
+
+    const comp = new CompClass(ext, element);
+    comps.set(element, comp);
+    comp.mount();
+    ext.trigger('mount', comp);
+    return comp;
+  }
+
+  /**
+   * Unmount a component.
+   * @param {module:@lumjs/web-app/components.Component} comp
+   * @returns {object} `this`
+   */
+  unmount(comp)
+  {
+    const comps = this.mounted.get(comp.ext);
+    if (comps?.get(comp.element) !== comp) return this;
+
+    comps.delete(comp.element);
+    if (comps.size === 0) this.mounted.delete(comp.ext);
+
+    comp.unmount();
+    comp.ext.trigger('unmount', comp);
+    this.app[CTX.DATA_MAPS].delete(comp);
+    return this;
+  }
+
+  /**
+   * Unmount all components (for one extension, or all of them).
+   * @param {module:@lumjs/web-app/extension} [ext] The extension.
+   * @returns {object} `this`
+   */
+  unmountAll(ext)
+  {
+    for (const comp of (ext ? this.of(ext) : this.all))
+    {
+      this.unmount(comp);
+    }
+    return this;
+  }
+
+  /**
+   * All mounted components.
+   * @type {module:@lumjs/web-app/components.Component[]}
+   */
+  get all()
+  {
+    const all = [];
+    for (const comps of this.mounted.values())
+    {
+      all.push(...comps.values());
+    }
+    return all;
+  }
+
+  /**
+   * Get the components mounted for an extension.
+   * @param {module:@lumjs/web-app/extension} ext - The extension.
+   * @returns {module:@lumjs/web-app/components.Component[]}
+   */
+  of(ext)
+  {
+    const comps = this.mounted.get(ext);
+    return comps ? Array.from(comps.values()) : [];
+  }
+
+  /**
+   * Get the components mounted on an element.
+   * @param {Element} element - The element.
+   * @returns {module:@lumjs/web-app/components.Component[]}
+   */
+  for(element)
+  {
+    return this.all.filter(comp => comp.element === element);
+  }
+
+  // The MutationObserver callback.
+  _mutated(list)
+  {
+    let removed = false;
+    const added = [];
+
+    for (const mutation of list)
+    {
+      if (mutation.removedNodes.length) removed = true;
+      for (const node of mutation.addedNodes)
+      {
+        if (node.nodeType === 1) added.push(node);
+      }
+    }
+
+    if (removed)
+    { // Elements that were moved will still be connected.
+      for (const comp of this.all)
+      {
+        if (!comp.element.isConnected)
+        {
+          this.unmount(comp);
+        }
+      }
+    }
+
+    for (const node of added)
+    {
+      if (!node.isConnected) continue;
+      for (const ext of this.app.orderedExtensions)
+      {
+        this.scan(ext, node);
+      }
+    }
+  }
+
+}
+
+def(ComponentManager, 'Component', Component);
+
+module.exports = ComponentManager;
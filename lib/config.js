@@ -0,0 +1,315 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,S,isObj} = core.types;
+
+/**
+ * Layered configuration loading for App options.
+ *
+ * The layers are merged in the following order (later layers win):
+ *
+ * 1. `defaultOptions` of the App class and each of its parent classes,
+ *    from the top-most parent down to the class being constructed.
+ * 2. A JSON block: `<script type="application/json" data-app-config>`.
+ * 3. The `data-*` attributes of the root element (`[data-app-root]`).
+ * 4. Whitelisted URL query string parameters.
+ * 5. The options passed to the constructor.
+ *
+ * Plain objects are merged recursively; everything else (including
+ * arrays) replaces the previous value.
+ *
+ * The loader itself may be configured with an `options.config` object
+ * in the class defaults or the constructor options (see `load()`).
+ *
+ * @module module:@lumjs/web-app/config
+ */
+
+const SCRIPT_SELECTOR = 'script[type="application/json"][data-app-config]';
+const ROOT_SELECTOR   = '[data-app-root]';
+const ROOT_MARKER     = 'appRoot';
+
+/**
+ * Is a value a plain object (and thus merged recursively)?
+ * @param {*} value
+ * @returns {boolean}
+ * @alias module:@lumjs/web-app/config.isPlain
+ */
+function isPlain(value)
+{
+  if (!isObj(value) || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null);
+}
+
+/**
+ * Parse a string value from an attribute or the query string.
+ *
+ * Valid JSON (numbers, booleans, `null`, objects, arrays, quoted strings)
+ * is parsed; anything else is returned as is.
+ *
+ * @param {string} value
+ * @returns {*}
+ * @alias module:@lumjs/web-app/config.parseValue
+ */
+function parseValue(value)
+{
+  try
+  {
+    return JSON.parse(value);
+  }
+  catch (err)
+  {
+    return value;
+  }
+}
+
+// Convert a `path.to.value` flat object into a nested one.
+function expand(flat)
+{
+  const nested = {};
+  for (const key in flat)
+  {
+    const path = key.split('.');
+    const last = path.pop();
+    let target = nested;
+    for (const name of path)
+    {
+      if (!isPlain(target[name])) target[name] = {};
+      target = target[name];
+    }
+    target[last] = flat[key];
+  }
+  return nested;
+}
+
+/**
+ * Deep-merge a layer into a target object.
+ *
+ * @param {object} target - Target object (modified in place).
+ * @param {object} layer - Layer options to merge into it.
+ * @param {string} [name] Layer name to record in `sources`.
+ * @param {object} [sources] Map of `path.to.value` to layer name.
+ * @param {string} [prefix] Used internally for nested paths.
+ * @returns {object} `target`
+ * @alias module:@lumjs/web-app/config.merge
+ */
+function merge(target, layer, name, sources, prefix='')
+{
+  for (const key in layer)
+  {
+    const value = layer[key];
+    if (value === undefined) continue;
+
+    const path = prefix + key;
+    if (isPlain(value))
+    {
+      if (!isPlain(target[key]))
+      {
+        target[key] = {};
+        forget(sources, path);
+      }
+      merge(target[key], value, name, sources, path + '.');
+    }
+    else
+    {
+      target[key] = value;
+      if (sources)
+      {
+        forget(sources, path);
+        sources[path] = name;
+      }
+    }
+  }
+  return target;
+}
+
+// Remove source records for a path and everything nested under it.
+function forget(sources, path)
+{
+  if (!sources) return;
+  delete sources[path];
+  const sub = path + '.';
+  for (const key in sources)
+  {
+    if (key.startsWith(sub)) delete sources[key];
+  }
+}
+
+// Find an element from a selector or element.
+function findElement(doc, spec, defSelector)
+{
+  if (spec === false) return null;
+  if (isObj(spec)) return spec;
+  return doc.querySelector(typeof spec === S ? spec : defSelector);
+}
+
+/**
+ * Get the `defaultOptions` layers of an App class and its parents.
+ *
+ * @param {function} AppClass - The App class (or a sub-class).
+ * @returns {Array} Each item is `[name, options]`.
+ * @alias module:@lumjs/web-app/config.classLayers
+ */
+function classLayers(AppClass)
+{
+  const layers = [];
+  for (let cls = AppClass; typeof cls === F; cls = Object.getPrototypeOf(cls))
+  {
+    if (Object.prototype.hasOwnProperty.call(cls, 'defaultOptions')
+      && isObj(cls.defaultOptions))
+    {
+      layers.unshift([cls.name + '.defaultOptions', cls.defaultOptions]);
+    }
+  }
+  return layers;
+}
+
+/**
+ * Get the layers found in the document.
+ *
+ * @param {object} conf - The `options.config` settings.
+ * @param {Document} [doc=globalThis.document]
+ * @returns {Array} Each item is `[name, options]`.
+ * @throws {SyntaxError} If the JSON config block is invalid.
+ * @alias module:@lumjs/web-app/config.documentLayers
+ */
+function documentLayers(conf, doc=globalThis.document)
+{
+  const layers = [];
+  if (!isObj(doc) || typeof doc.querySelector !== F) return layers;
+
+  const script = findElement(doc, conf.script, SCRIPT_SELECTOR);
+  if (script)
+  {
+    try
+    {
+      layers.push(['script', JSON.parse(script.textContent)]);
+    }
+    catch (err)
+    {
+      throw new SyntaxError('Invalid JSON in app config block: '
+        + err.message, {cause: err});
+    }
+  }
+
+  const root = findElement(doc, conf.root, ROOT_SELECTOR);
+  if (root && isObj(root.dataset))
+  {
+    const flat = {};
+    for (const key in root.dataset)
+    {
+      if (key === ROOT_MARKER) continue;
+      flat[key] = parseValue(root.dataset[key]);
+    }
+    layers.push(['attributes', expand(flat)]);
+  }
+
+  return layers;
+}
+
+/**
+ * Get the URL query layer.
+ *
+ * Only the parameters listed in `conf.query` are used.
+ *
+ * @param {object} conf - The `options.config` settings.
+ * @param {string} [search=globalThis.location.search]
+ * @returns {Array} Each item is `[name, options]`.
+ * @alias module:@lumjs/web-app/config.queryLayers
+ */
+function queryLayers(conf, search=globalThis.location?.search)
+{
+  const allowed = conf.query;
+  if (!Array.isArray(allowed) || allowed.length === 0
+    || typeof search !== S) return [];
+
+  const params = new URLSearchParams(search);
+  const flat = {};
+  for (const path of allowed)
+  {
+    if (params.has(path))
+    {
+      flat[path] = parseValue(params.get(path));
+    }
+  }
+  return [['query', expand(flat)]];
+}
+
+/**
+ * Load the options for an App instance.
+ *
+ * @param {function} AppClass - The App class being constructed.
+ * @param {object} [options] Options passed to the constructor.
+ *
+ * @param {(object|false)} [options.config] Loader settings.
+ *
+ * These may also be set in the `defaultOptions` of an App class.
+ * If set to `false`, only the class defaults and constructor options
+ * are used.
+ *
+ * @param {(string|Element|false)} [options.config.script]
+ * The JSON config block (or a selector for it).
+ * Default: `'script[type="application/json"][data-app-config]'`
+ *
+ * @param {(string|Element|false)} [options.config.root]
+ * The root element with `data-*` attributes (or a selector for it).
+ * Attribute names are converted to camelCase, and dots are used
+ * for nested options (`data-router.mode="hash"`). Default: `'[data-app-root]'`
+ *
+ * @param {string[]} [options.config.query] Whitelisted query parameters.
+ *
+ * Each is an option path (`debug`, `router.mode`, etc.)
+ * Nothing is read from the query string unless this is set.
+ *
+ * @param {object} [options.config.document] Document to use instead of
+ * `globalThis.document`.
+ *
+ * @param {string} [options.config.search] Query string to use instead of
+ * `globalThis.location.search`.
+ *
+ * @returns {object} An object with two properties:
+ *
+ * - `options`: The merged options.
+ * - `sources`: A map of `path.to.value` to the name of the layer it came
+ *   from: `'<Class>.defaultOptions'`, `'script'`, `'attributes'`,
+ *   `'query'`, or `'constructor'`.
+ *
+ * @alias module:@lumjs/web-app/config.load
+ */
+function load(AppClass, options)
+{
+  const layers = classLayers(AppClass);
+  const given = isObj(options) ? options : {};
+
+  // The loader settings come from the class defaults and the constructor.
+  const conf = {};
+  for (const [, opts] of layers)
+  {
+    if (isObj(opts.config)) merge(conf, opts.config);
+    else if (opts.config === false) conf.disabled = true;
+  }
+  if (isObj(given.config)) merge(conf, given.config);
+  else if (given.config === false) conf.disabled = true;
+
+  if (!conf.disabled)
+  {
+    layers.push(...documentLayers(conf, conf.document));
+    layers.push(...queryLayers(conf, conf.search));
+  }
+
+  layers.push(['constructor', given]);
+
+  const merged = {}, sources = {};
+  for (const [name, opts] of layers)
+  {
+    merge(merged, opts, name, sources);
+  }
+
+  return {options: merged, sources};
+}
+
+module.exports =
+{
+  load, merge, isPlain, parseValue,
+  classLayers, documentLayers, queryLayers,
+}
@@ -11,7 +11,48 @@ module.exports = Object.freeze(
   INITED:    Symbol(AID+"INITED"),
   STARTED:   Symbol(AID+"STARTED"),
   REGISTRY:  Symbol(AID+"REGISTRY"),
+  OBJECT_ID: Symbol(AID+"OBJECT_ID"),
+  RESOLVING: Symbol(AID+"RESOLVING"),
+  PENDING:   Symbol(AID+"PENDING"),
+  WAITING:   Symbol(AID+"WAITING"),
+  READY:     Symbol(AID+"READY"),
+  STARTING:  Symbol(AID+"STARTING"),
+  LAZY:      Symbol(AID+"LAZY"),
+  FAULTS:    Symbol(AID+"FAULTS"),
+  DISABLED:  Symbol(AID+"DISABLED"),
+  VETOABLE:  Symbol(AID+"VETOABLE"),
+  SERVICES:  Symbol(AID+"SERVICES"),
+  INJECTING: Symbol(AID+"INJECTING"),
+
+  WS_TRANSPORT: Symbol(AID+"WS_TRANSPORT"),
+  WS_MOCKS:     Symbol(AID+"WS_MOCKS"),
+
+  BEFORE_NAMES:
+  {
+    init:    'beforeInit',
+    reinit:  'beforeReinit',
+    start:   'beforeStart',
+    restart: 'beforeRestart',
+    stop:    'beforeStop',
+    destroy: 'beforeDestroy',
+  },
 
   EXT_APP:   Symbol(AID+"EXT_APP"),
   EXT_VALID: Symbol(AID+"EXT_VALID"),
+  EXT_WAIT:  Symbol(AID+"EXT_WAIT"),
+  EXT_INJECTED: Symbol(AID+"EXT_INJECTED"),
+  EXT_OPTIONS: Symbol(AID+"EXT_OPTIONS"),
+  EXT_REPLACES: Symbol(AID+"EXT_REPLACES"),
+
+  STATE_APP:      Symbol(AID+"STATE_APP"),
+  STATE_VALUES:   Symbol(AID+"STATE_VALUES"),
+  STATE_QUEUE:    Symbol(AID+"STATE_QUEUE"),
+  STATE_OLD:      Symbol(AID+"STATE_OLD"),
+  STATE_WATCH:    Symbol(AID+"STATE_WATCH"),
+  STATE_COMPUTED: Symbol(AID+"STATE_COMPUTED"),
+  STATE_BUSY:     Symbol(AID+"STATE_BUSY"),
+  STATE_PERSIST:  Symbol(AID+"STATE_PERSIST"),
+  STATE_MIGRATE:  Symbol(AID+"STATE_MIGRATE"),
+
+  LISTENERS: Symbol(AID+"LISTENERS"),
 });
@@ -3,11 +3,41 @@
 const CTX = require('./ctx');
 const core = require('@lumjs/core');
 const {def,F,isNil,isObj} = core.types;
-const {makeObservable} = require('./util');
+const {makeObservable,isThenable,applySchema} = require('./util');
+
+// The hooks set up by the constructor (see setupHook()).
+const HOOKS = Object.freeze(
+[
+  'init', 'reinit', 'start', 'restart', 'beforeStart', 'beforeRestart',
+  'ready', 'stop', 'destroy', 'mount', 'unmount',
+]);
 
 /**
  * A simple base class for web-app Extensions.
  * 
+ * Sub-classes may declare a static `requires` property with an array
+ * of other Extension classes (or extension `id` strings) they depend on.
+ * The App will make sure those are added, and that their events and
+ * method calls are always handled before this extension's.
+ * See {@link module:@lumjs/web-app/app#add} for details.
+ * 
+ * Sub-classes may also declare a static `inject` property with services
+ * from the app's dependency-injection container to assign as instance
+ * properties, either as an object (`{property: serviceName}`) or an array
+ * of service names. See {@link module:@lumjs/web-app/app#provide}.
+ * 
+ * Sub-classes may declare a static `selector` property to have a
+ * component mounted for each matching DOM element; a static `component`
+ * property may be used to set a custom Component sub-class.
+ * See {@link module:@lumjs/web-app/components} for details.
+ * 
+ * Sub-classes may declare a static `messages` property with message
+ * catalogs for each locale (see `t()`).
+ * 
+ * Sub-classes may also declare a static `options` property with a schema
+ * for their options (see `configure()` for details). The validated options
+ * will be available as `this.options`.
+ * 
  * @exports module:@lumjs/web-app/extension
  * @implements {module:@lumjs/web-app.observable}
  */
@@ -18,9 +48,21 @@ class WebExtension
    * 
    * - Add the `core.observable` methods.
    * 
-   * - Set up hooks for `init`, `reinit`, `start`, and `restart`.
+   * - Inject services declared in the static `inject` property.
+   *   If there is no `app` yet, this will be done once one is set,
+   *   which will be after the `init` event has been triggered.
+   * 
+   * - Set up hooks for `init`, `reinit`, `start`, `restart`, `beforeStart`,
+   *   `beforeRestart`, `ready`, `stop`, `destroy`, `mount`, and `unmount`
+   *   (the list is available as `WebExtension.hooks`).
    *   See {@link module:@lumjs/web-app/extension#setupHook} for details.
    * 
+   * - Set up `this.options` (see `configure()`). They will be configured
+   *   the first time they are used, or once the `app` is set (which will
+   *   be after the `init` event has been triggered), so the extension id
+   *   is not needed until then. If there is no `app` yet, they will not 
+   *   be validated until one is set.
+   * 
    * - Trigger the `init` event, passing any arguments to it.
    * 
    * @param {@lumjs/web-app/app} [app] Parent App instance.
@@ -33,17 +75,40 @@ class WebExtension
    * If `app.options.observable` is an `object`, it will be used as
    * the options for the `core.observable` method.
    * 
+   * @param {object} [options] Options for this extension.
+   * See `configure()` for details.
+   * 
+   * @throws {TypeError} If `app` is set and the options are not valid.
+   * @throws {RangeError} If `app` is set and the extension would have
+   * a circular dependency (see `app.add()`).
    */
-  constructor(app=null)
+  constructor(app=null, options)
   {
     const appOpts = (app instanceof App) ? app.options : App.defaultOptions;
     makeObservable(this, appOpts);
+    def(this, CTX.EXT_WAIT, []);
+    def(this, CTX.EXT_OPTIONS, {value: options ?? null});
+
+    if (app instanceof App)
+    { // Before the hooks are set up (or have a chance to do anything).
+      app._checkDeps(this);
+      app._setupExt(this);
+      this.injectServices(app);
+    }
+
+    for (const name of HOOKS)
+    {
+      this.setupHook(name);
+    }
+
+    def(this, 'options', 
+    { // Configured when first used (or when the app is set).
+      get: () => this.configure(app).options,
+      set: (value) => def(this, 'options', 
+        {value, writable: true, configurable: true}),
+      configurable: true,
+    });
 
-    this.setupHook('init')
-        .setupHook('reinit')
-        .setupHook('start')
-        .setupHook('restart');
-    
     this.trigger('init', ...arguments);
     this.setApp(app);
   }
@@ -92,12 +157,24 @@ class WebExtension
   {
     if (app instanceof App)
     {
+      const prevApp = this[CTX.EXT_APP];
       def(this, CTX.EXT_APP, app);
 
+      if (prevApp !== app)
+      {
+        this.injectServices(app);
+        this.configure(app);
+      }
+
+      for (const promise of this[CTX.EXT_WAIT].splice(0))
+      { // Pass any saved promises to the app.
+        app.waitFor(promise);
+      }
+
       if (app.isStarted)
       { // The app has already been started.
-        if (isNil(this[CTX.EXT_APP]))
-        { // No app had been set yet.
+        if (isNil(prevApp) && !this[CTX.EXT_REPLACES])
+        { // No app had been set yet (and not a hot replacement).
           this.trigger('start');
         }
         else
@@ -106,6 +183,11 @@ class WebExtension
         }
       }
 
+      if (this[CTX.EXT_REPLACES])
+      { // Only needed the first time.
+        delete this[CTX.EXT_REPLACES];
+      }
+
       if (validate)
       {
         def(this, CTX.EXT_VALID, true);
@@ -120,6 +202,75 @@ class WebExtension
     return this;
   }
 
+  /**
+   * Set the options for this extension.
+   * 
+   * The options are merged from (in order):
+   * 
+   * - The defaults from the static `options` schema.
+   * - `app.options.extensions[this.id]`
+   * - The options passed to the constructor (or the second argument 
+   *   to `app.add()`), which are saved for future calls.
+   * 
+   * They are then validated against the static `options` schema 
+   * (see `Util.applySchema()` for the format),
+   * and assigned to `this.options`.
+   * 
+   * This is called automatically when the `app` is set, so you will 
+   * rarely need to call it directly.
+   * 
+   * @param {?module:@lumjs/web-app/app} app - The app instance.
+   * 
+   * If this is not an App instance, the app options are skipped, and
+   * the options are not validated.
+   * 
+   * @param {object} [options] New options to merge over the ones
+   * passed to the constructor (or a previous call).
+   * 
+   * @returns {object} `this`
+   * @throws {TypeError} If the options are not valid.
+   */
+  configure(app, options)
+  {
+    if (isObj(options))
+    {
+      const saved = Object.assign({}, this[CTX.EXT_OPTIONS], options);
+      def(this, CTX.EXT_OPTIONS, {value: saved});
+    }
+
+    const hasApp = (app instanceof App);
+    const id = hasApp ? idFor(this, app) : undefined;
+    const appExts = hasApp ? app.options.extensions : undefined;
+    const schema = this.constructor.options;
+    const {options: opts, errors} = applySchema(isObj(schema) ? schema : {},
+      isObj(appExts) ? appExts[id] : undefined,
+      this[CTX.EXT_OPTIONS]);
+
+    if (hasApp && errors.length)
+    {
+      throw new TypeError(`Invalid options for extension '${id}': `
+        + errors.join('; '));
+    }
+
+    def(this, 'options', {value: opts, writable: true, configurable: true});
+    return this;
+  }
+
+  /**
+   * Translate a message.
+   * 
+   * Looks in the messages for this extension first, then the global ones.
+   * 
+   * @param {string} key - The message key.
+   * @param {object} [params] Values for the message arguments.
+   * @returns {string}
+   * @see module:@lumjs/web-app/i18n#t
+   */
+  t(key, params)
+  {
+    return this.app.i18n.t(key, params, {ns: this.id});
+  }
+
   /**
    * A getter for the parent App instance.
    * @returns {module:@lumjs/web-app/app}
@@ -155,6 +306,16 @@ class WebExtension
    * - `reinit`  : The `app.init()` method was called manually.
    * - `start`   : The `app.start()` method was called automatically.
    * - `restart` : The `app.start()` method was called manually.
+   * - `beforeStart`, `beforeRestart` : Cancelable events triggered
+   *   before `start` and `restart`; see `app.triggerBefore()`.
+   * - `ready`   : The app has finished starting for the first time.
+   * - `stop`    : The `app.stop()` method was called, or the extension
+   *               is being removed from a started app.
+   * - `destroy` : The `app.destroy()` method was called, or the
+   *               extension is being removed via `app.remove()`.
+   * - `mount`, `unmount` : A component was mounted or unmounted for an 
+   *   element matching the static `selector` of this extension;
+   *   see {@link module:@lumjs/web-app/components}.
    * 
    * Note that `start` and `restart` may also be called if the `app`
    * property is set to an instance that has already been started.
@@ -168,6 +329,16 @@ class WebExtension
    * `ename` event is triggered. 
    * 
    * If not specified, `mname` defaults to `ename`.
+   * 
+   * If the method returns a promise, it will be passed to `waitFor()`,
+   * which is how async lifecycle hooks are supported.
+   * 
+   * If the method returns `false` and the first argument is a before
+   * event object (see `app.triggerBefore()`), the event will be vetoed.
+   * 
+   * Hooks for before events (where `ename` starts with `before`) must not
+   * be async, as the veto has to be decided right away; if one returns a
+   * promise, a `TypeError` is thrown (and the promise is ignored).
    *  
    * @returns {object} `this`
    */
@@ -175,7 +346,66 @@ class WebExtension
   {
     if (typeof this[mname] === F)
     {
-      this.on(ename, () => this[mname](...arguments));
+      this.on(ename, (...args) =>
+      {
+        const retVal = this[mname](...args);
+        if (isThenable(retVal))
+        {
+          if (ename.startsWith('before'))
+          { // Nothing would wait for it (or see it fail).
+            retVal.then(null, () => {});
+            throw new TypeError(`The '${mname}' hook cannot be async`);
+          }
+          this.waitFor(retVal);
+        }
+        else if (retVal === false && typeof args[0]?.preventDefault === F)
+        { // Veto a before event.
+          args[0].preventDefault();
+        }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Pass a promise to `app.waitFor()`.
+   * 
+   * If the app has not been set yet (like when the `init` hook is
+   * called during construction), the promise will be saved, and passed
+   * to the app once it has been set.
+   * 
+   * @param {Promise} promise - The promise the app should wait for.
+   * @returns {Promise} The `promise` argument.
+   * @see module:@lumjs/web-app/app#waitFor
+   */
+  waitFor(promise)
+  {
+    const app = this.getApp();
+    if (app instanceof App)
+    {
+      return app.waitFor(promise);
+    }
+
+    this[CTX.EXT_WAIT].push(promise);
+    return promise;
+  }
+
+  /**
+   * Inject the services declared in the static `inject` property.
+   * 
+   * Called automatically when the app is set; it only does anything
+   * the first time it is called for each app.
+   * 
+   * @param {module:@lumjs/web-app/app} app - App with the services.
+   * @returns {object} `this`
+   */
+  injectServices(app)
+  {
+    const spec = this.constructor.inject;
+    if (spec && this[CTX.EXT_INJECTED] !== app)
+    {
+      app.injectInto(this, spec);
+      def(this, CTX.EXT_INJECTED, app);
     }
     return this;
   }
@@ -198,7 +428,22 @@ class WebExtension
 
 }
 
+def(WebExtension, 'hooks', {value: HOOKS});
+
 module.exports = WebExtension;
 
+// The id of an extension that may not have its app set yet.
+function idFor(ext, app)
+{
+  try
+  {
+    return ext.id;
+  }
+  catch (err)
+  {
+    return app.idRegistry.id(ext);
+  }
+}
+
 // A base class for apps.
 const App = require('./app');
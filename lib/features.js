@@ -0,0 +1,300 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {def,F,S,isObj} = core.types;
+
+/**
+ * Get the feature flag name for an extension or module.
+ *
+ * Extension classes (and other modules) may declare a static `feature`
+ * property; for instances the property of their class is used.
+ *
+ * @param {(object|function)} mod - Extension class, instance, or module.
+ * @returns {(string|undefined)}
+ * @alias module:@lumjs/web-app/features.featureOf
+ */
+function featureOf(mod)
+{
+  const feature = (typeof mod === F) ? mod.feature
+    : (isObj(mod) ? (mod.feature ?? mod.constructor?.feature) : undefined);
+  return (typeof feature === S) ? feature : undefined;
+}
+
+/**
+ * Feature flags for an App instance.
+ *
+ * The flags are stored in the app state (at `options.featurePath`), so
+ * they may be changed with `set()` or with `app.state.set()`, and can be
+ * persisted the same as any other state value. Initial values may be
+ * set with `options.features`, and more can be loaded from a webservice
+ * (or anywhere else) with `load()`.
+ *
+ * Extensions with a static `feature` property are only added to the
+ * app while that flag is enabled. When a flag changes, the extensions
+ * using it are added or removed right away, and then a `featureChanged`
+ * event is triggered (via `app.triggerAll()`) with the flag name and
+ * its new value (`true` or `false`) as the arguments.
+ *
+ * Changes are detected when the app state is flushed, which happens
+ * once per tick, so the extensions are added or removed asynchronously.
+ *
+ * This is created by the App constructor as `app.features`.
+ *
+ * @exports module:@lumjs/web-app/features
+ */
+class FeatureFlags
+{
+  /**
+   * Build the feature flags.
+   *
+   * @param {module:@lumjs/web-app/app} app - The parent App instance.
+   * @param {object} [flags] Initial flags (if not already in the state).
+   * @param {string} [path='features'] The state path for the flags.
+   */
+  constructor(app, flags, path='features')
+  {
+    def(this, 'app', app);
+    def(this, 'path', path);
+    def(this, 'gated', {value: new Map()});
+    def(this, 'waiting', {value: new Map()});
+
+    if (isObj(flags) && Object.keys(flags).length)
+    { // Only set if there are initial flags, so nothing changes otherwise.
+      const stored = app.state.get(path);
+      app.state.set(path, Object.assign({}, flags, stored));
+    }
+
+    def(this, 'known', {value: this.all});
+    app.state.watch(path, () => this._sync());
+  }
+
+  /**
+   * All of the flags (as `true` or `false`).
+   * @type {object}
+   */
+  get all()
+  {
+    const flags = {};
+    const stored = this.app.state.get(this.path);
+    if (isObj(stored))
+    {
+      for (const name in stored)
+      {
+        flags[name] = Boolean(stored[name]);
+      }
+    }
+    return flags;
+  }
+
+  /**
+   * Is a flag enabled?
+   *
+   * @param {string} name - The flag name; an extension class, instance,
+   * or module with a static `feature` property may also be passed.
+   * @returns {boolean} Always `true` for anything without a `feature`.
+   */
+  isEnabled(name)
+  {
+    if (typeof name !== S)
+    {
+      name = featureOf(name);
+      if (name === undefined) return true;
+    }
+    return Boolean(this.app.state.get(this.path)?.[name]);
+  }
+
+  /**
+   * Set one or more flags.
+   *
+   * @param {(string|object)} name - Flag name, or an object where each
+   * key is a flag name and each value is the flag value.
+   * @param {boolean} [value] The flag value (if `name` is a string).
+   * @returns {object} `this`
+   */
+  set(name, value)
+  {
+    if (isObj(name))
+    {
+      for (const key in name)
+      {
+        this.set(key, name[key]);
+      }
+    }
+    else
+    {
+      this.app.state.set(this.path+'.'+name, Boolean(value));
+    }
+    return this;
+  }
+
+  /**
+   * Load flags and `set()` them.
+   *
+   * @param {(string|function|object)} source - Where to get the flags.
+   *
+   * If this is a `string`, it is the id of a Webservice added to the app,
+   * which is passed (along with `url` and `init`) to `app.wsRequest()`.
+   * If the response has a `json()` method, its result will be used.
+   *
+   * If this is a `function`, it will be called with the app as the sole
+   * argument, and must return the flags (or a promise resolving to them).
+   *
+   * If this is an `object`, it will be used as the flags directly.
+   *
+   * @param {string} [url] Request URL (for a Webservice).
+   * @param {object} [init] Request options (for a Webservice).
+   *
+   * @returns {Promise} Resolves to `this` once the flags are set.
+   * @throws {TypeError} If the source (or the flags loaded) is invalid.
+   */
+  async load(source, url, init)
+  {
+    let flags;
+
+    if (typeof source === S)
+    {
+      const ws = this.app.ws[source];
+      if (!ws)
+      {
+        throw new TypeError(`No webservice with id '${source}'`);
+      }
+      flags = await this.app.wsRequest(ws, url, init);
+      if (typeof flags?.json === F)
+      {
+        flags = await flags.json();
+      }
+    }
+    else if (typeof source === F)
+    {
+      flags = await source(this.app);
+    }
+    else
+    {
+      flags = source;
+    }
+
+    if (!isObj(flags))
+    {
+      console.error({source, flags, features: this});
+      throw new TypeError("Invalid feature flags");
+    }
+
+    return this.set(flags);
+  }
+
+  /**
+   * Call a function once a flag is enabled.
+   *
+   * If it is already enabled, the function is called right away.
+   *
+   * @param {string} name - The flag name.
+   * @param {function} fn - The function to call.
+   * @returns {object} `this`
+   */
+  whenEnabled(name, fn)
+  {
+    if (this.isEnabled(name))
+    {
+      fn.call(this.app, name);
+    }
+    else
+    {
+      const waiting = this.waiting;
+      if (!waiting.has(name)) waiting.set(name, []);
+      waiting.get(name).push(fn);
+    }
+    return this;
+  }
+
+  /**
+   * Keep track of a gated extension.
+   *
+   * Called by `app.add()` for every extension with a `feature`.
+   *
+   * @param {(function|object)} ext - Extension class or instance.
+   * @param {object} [opts] Options for `app.add()`.
+   * @returns {boolean} If the extension should be added now.
+   */
+  gate(ext, opts)
+  {
+    const name = featureOf(ext);
+    if (name === undefined) return true;
+
+    const gated = this.gated;
+    if (!gated.has(name)) gated.set(name, new Map());
+    const entries = gated.get(name);
+    if (!entries.has(ext) || opts !== undefined)
+    {
+      entries.set(ext, opts);
+    }
+
+    return this.isEnabled(name);
+  }
+
+  // A watcher for the state flags.
+  _sync()
+  {
+    const known = this.known;
+    const flags = this.all;
+    const names = new Set([...Object.keys(known), ...Object.keys(flags)]);
+
+    for (const name of names)
+    {
+      const value = Boolean(flags[name]);
+      if (value !== Boolean(known[name]))
+      {
+        known[name] = value;
+        this._changed(name, value);
+      }
+    }
+  }
+
+  // Apply a flag change.
+  _changed(name, enabled)
+  {
+    const app = this.app;
+    const entries = this.gated.get(name);
+
+    if (entries)
+    {
+      for (const [ext, opts] of entries)
+      {
+        const isInstance = (typeof ext !== F);
+        const loaded = isInstance
+          ? (app.orderedExtensions.includes(ext) ? ext : undefined)
+          : app.findExt(ext);
+
+        if (enabled && !loaded)
+        {
+          const hadApp = isInstance && ext.getApp() === app;
+          app.add(ext, opts);
+          if (hadApp && app.isStarted)
+          { // Re-added instances won't get a new app, so start them here.
+            ext.trigger('start');
+          }
+        }
+        else if (!enabled && loaded)
+        {
+          app.remove(loaded);
+        }
+      }
+    }
+
+    if (enabled && this.waiting.has(name))
+    {
+      const waiting = this.waiting.get(name);
+      this.waiting.delete(name);
+      for (const fn of waiting)
+      {
+        fn.call(app, name);
+      }
+    }
+
+    app.triggerAll('featureChanged', name, enabled);
+  }
+
+}
+
+def(FeatureFlags, 'featureOf', featureOf);
+
+module.exports = FeatureFlags;
@@ -0,0 +1,559 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {def,F,S,isObj} = core.types;
+
+// The namespace used for messages that don't belong to any extension.
+const GLOBAL = '';
+
+/**
+ * Parse an ICU-style message into a list of parts.
+ *
+ * Supported syntax:
+ *
+ * - `{name}` : Interpolation.
+ * - `{name, number}`, `{name, number, integer}`, `{name, number, percent}`
+ * - `{name, date, short}`, `{name, time, short}` : Also supports the
+ *   `medium`, `long`, and `full` styles.
+ * - `{name, plural, =0 {none} one {# item} other {# items}}`
+ * - `{name, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}`
+ * - `{name, select, male {he} female {she} other {they}}`
+ * - `'{'` and `'}'` for literal braces, `''` for a literal apostrophe.
+ *
+ * @param {string} msg - The message to parse.
+ * @returns {Array} Parts: strings, and objects for the arguments.
+ * @throws {SyntaxError} If the message is invalid.
+ * @alias module:@lumjs/web-app/i18n.parse
+ */
+function parse(msg)
+{
+  const [parts, pos] = parseParts(msg, 0, false);
+  if (pos < msg.length)
+  {
+    throw new SyntaxError(`Unexpected '}' at ${pos} in message: ${msg}`);
+  }
+  return parts;
+}
+
+// Parse the parts of a (sub-)message, stopping at an unmatched '}'.
+function parseParts(msg, pos, inPlural)
+{
+  const parts = [];
+  let text = '';
+
+  const flush = () =>
+  {
+    if (text) parts.push(text);
+    text = '';
+  }
+
+  while (pos < msg.length)
+  {
+    const c = msg[pos];
+    if (c === "'")
+    {
+      const next = msg[pos+1];
+      if (next === "'")
+      { // An escaped apostrophe.
+        text += "'";
+        pos += 2;
+      }
+      else if (next === '{' || next === '}' || (inPlural && next === '#'))
+      { // A quoted literal.
+        const end = msg.indexOf("'", pos+1);
+        const stop = (end === -1) ? msg.length : end;
+        text += msg.slice(pos+1, stop);
+        pos = stop + 1;
+      }
+      else
+      {
+        text += c;
+        pos++;
+      }
+    }
+    else if (c === '{')
+    {
+      flush();
+      let arg;
+      [arg, pos] = parseArg(msg, pos+1);
+      parts.push(arg);
+    }
+    else if (c === '}')
+    {
+      break;
+    }
+    else if (c === '#' && inPlural)
+    {
+      flush();
+      parts.push({hash: true});
+      pos++;
+    }
+    else
+    {
+      text += c;
+      pos++;
+    }
+  }
+
+  flush();
+  return [parts, pos];
+}
+
+// Read up to (but not including) one of the stop characters.
+function readUntil(msg, pos, stops)
+{
+  let end = pos;
+  while (end < msg.length && !stops.includes(msg[end])) end++;
+  return [msg.slice(pos, end).trim(), end];
+}
+
+// Parse an argument (after the opening '{').
+function parseArg(msg, pos)
+{
+  let name, type, style;
+  [name, pos] = readUntil(msg, pos, ',}');
+  const arg = {name};
+
+  if (msg[pos] === ',')
+  {
+    [type, pos] = readUntil(msg, pos+1, ',}');
+    arg.type = type;
+
+    if (msg[pos] === ',')
+    {
+      if (type === 'plural' || type === 'selectordinal' || type === 'select')
+      {
+        arg.options = {};
+        pos++;
+        while (pos < msg.length)
+        {
+          while (/\s/.test(msg[pos] ?? '')) pos++;
+          if (msg[pos] === '}') break;
+
+          let key;
+          [key, pos] = readUntil(msg, pos, '{}');
+          if (msg[pos] !== '{' || key === '')
+          {
+            throw new SyntaxError(`Invalid option at ${pos} in message: ${msg}`);
+          }
+
+          let sub;
+          [sub, pos] = parseParts(msg, pos+1, type !== 'select');
+          if (msg[pos] !== '}')
+          {
+            throw new SyntaxError(`Unclosed option in message: ${msg}`);
+          }
+          arg.options[key] = sub;
+          pos++;
+        }
+      }
+      else
+      {
+        [style, pos] = readUntil(msg, pos+1, '}');
+        arg.style = style;
+      }
+    }
+  }
+
+  if (msg[pos] !== '}')
+  {
+    throw new SyntaxError(`Unclosed argument '${name}' in message: ${msg}`);
+  }
+
+  return [arg, pos+1];
+}
+
+// Flatten nested catalog objects into `path.to.key` messages.
+function flatten(catalog, prefix='', flat={})
+{
+  for (const key in catalog)
+  {
+    const value = catalog[key];
+    if (isObj(value))
+    {
+      flatten(value, prefix+key+'.', flat);
+    }
+    else
+    {
+      flat[prefix+key] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Internationalization (i18n) for an App instance.
+ *
+ * Message catalogs are registered per locale and per namespace; each
+ * extension (and registered module) gets a namespace matching its id,
+ * and messages without a namespace are global.
+ *
+ * Messages use an ICU-style syntax (see `parse()` for what is supported),
+ * and numbers and dates are formatted with the `Intl` APIs.
+ *
+ * This is created by the App constructor as `app.i18n`, and is also
+ * provided as the `i18n` service (see `app.provide()`).
+ *
+ * @prop {string} locale - The current locale.
+ * @prop {string} fallback - The fallback locale.
+ *
+ * @exports module:@lumjs/web-app/i18n
+ */
+class I18n
+{
+  /**
+   * Build the i18n service.
+   *
+   * @param {module:@lumjs/web-app/app} app - The parent App instance.
+   * @param {object} [opts] Options (usually `app.options.i18n`).
+   * @param {string} [opts.locale] The initial locale;
+   * default is `navigator.language`, or the `fallback` locale.
+   * @param {string} [opts.fallback='en'] The fallback locale.
+   * @param {object} [opts.messages] Global messages; each key is a
+   * locale, and the value is the catalog for it.
+   * @param {object} [opts.bundles] Lazily loaded bundles; each key is
+   * a locale, and the value is a loader function (see `bundle()`).
+   */
+  constructor(app, opts={})
+  {
+    def(this, 'app', app);
+    def(this, 'catalogs', {value: new Map()});
+    def(this, 'bundles', {value: new Map()});
+    def(this, 'cache', {value: new Map()});
+    def(this, 'formatters', {value: new Map()});
+
+    this.fallback = opts.fallback ?? 'en';
+    this.locale = opts.locale
+      ?? globalThis.navigator?.language
+      ?? this.fallback;
+
+    if (isObj(opts.messages))
+    {
+      for (const locale in opts.messages)
+      {
+        this.add(locale, opts.messages[locale]);
+      }
+    }
+
+    if (isObj(opts.bundles))
+    {
+      for (const locale in opts.bundles)
+      {
+        this.bundle(locale, opts.bundles[locale]);
+      }
+    }
+  }
+
+  /**
+   * Add messages to a catalog.
+   *
+   * @param {string} locale - The locale, e.g. `'en'` or `'fr-CA'`.
+   * @param {object} messages - The messages; may be nested, in which
+   * case the keys are joined with dots (`{user: {hi: 'Hi'}}` is the same
+   * as `{'user.hi': 'Hi'}`).
+   * @param {string} [ns] Namespace (usually an extension or module id).
+   * @returns {object} `this`
+   */
+  add(locale, messages, ns=GLOBAL)
+  {
+    const catalogs = this.catalogs;
+    if (!catalogs.has(locale)) catalogs.set(locale, new Map());
+    const spaces = catalogs.get(locale);
+    spaces.set(ns, Object.assign(spaces.get(ns) ?? {}, flatten(messages)));
+    return this;
+  }
+
+  /**
+   * Add a lazily loaded locale bundle.
+   *
+   * @param {string} locale - The locale the bundle is for.
+   * @param {function} loader - Called (with the app as the sole argument)
+   * the first time the locale (or a more specific one) is used with
+   * `setLocale()`. It must return an object (or a promise resolving to
+   * one, such as `import()` does) of messages; if it has a `default`
+   * property, that will be used instead.
+   * @param {string} [ns] Namespace for the messages.
+   * @returns {object} `this`
+   */
+  bundle(locale, loader, ns=GLOBAL)
+  {
+    if (typeof loader !== F)
+    {
+      throw new TypeError("Bundle loader must be a function");
+    }
+    const bundles = this.bundles;
+    if (!bundles.has(locale)) bundles.set(locale, []);
+    bundles.get(locale).push({loader, ns, promise: null});
+    return this;
+  }
+
+  /**
+   * The locales to look for messages in, in order of preference.
+   * @param {string} [locale=this.locale]
+   * @returns {string[]} E.g. `['fr-CA', 'fr', 'en']`
+   */
+  chain(locale=this.locale)
+  {
+    const chain = [];
+    const parts = locale.split('-');
+    while (parts.length)
+    {
+      chain.push(parts.join('-'));
+      parts.pop();
+    }
+    if (!chain.includes(this.fallback))
+    {
+      chain.push(this.fallback);
+    }
+    return chain;
+  }
+
+  /**
+   * Load any bundles for a locale (and its fallbacks).
+   * @param {string} [locale=this.locale]
+   * @returns {Promise} Resolves to `this` when all bundles are loaded.
+   */
+  async load(locale=this.locale)
+  {
+    const loading = [];
+    for (const loc of this.chain(locale))
+    {
+      for (const bundle of this.bundles.get(loc) ?? [])
+      {
+        if (!bundle.promise)
+        {
+          bundle.promise = Promise.resolve(bundle.loader(this.app))
+            .then(mod =>
+            {
+              const messages = isObj(mod?.default) ? mod.default : mod;
+              this.add(loc, messages, bundle.ns);
+            })
+            .catch(err =>
+            {
+              bundle.promise = null;
+              throw err;
+            });
+        }
+        loading.push(bundle.promise);
+      }
+    }
+    await Promise.all(loading);
+    return this;
+  }
+
+  /**
+   * Change the locale.
+   *
+   * Loads the bundles for the new locale, then triggers a `localeChange`
+   * event via `app.triggerAll()`, with the new and old locales as the
+   * arguments. Nothing is done if the locale has not changed.
+   *
+   * @param {string} locale - The new locale.
+   * @returns {Promise} Resolves to `this` once the locale has changed.
+   */
+  async setLocale(locale)
+  {
+    await this.load(locale);
+    const previous = this.locale;
+    if (locale !== previous)
+    {
+      this.locale = locale;
+      this.app.triggerAll('localeChange', locale, previous);
+    }
+    return this;
+  }
+
+  /**
+   * Find a raw message.
+   *
+   * @param {string} key - The message key; may be prefixed with a
+   * namespace and a colon (`'charts:title'`).
+   * @param {object} [opts] Options
+   * @param {string} [opts.ns] Namespace to look in before the global one.
+   * @param {string} [opts.locale=this.locale] Locale to use.
+   * @returns {(string|undefined)}
+   */
+  find(key, opts={})
+  {
+    return this._find(key, opts)?.[0];
+  }
+
+  // part of find() and t(); returns the message and its locale.
+  _find(key, opts)
+  {
+    let ns = opts.ns;
+    const colon = key.indexOf(':');
+    if (colon !== -1)
+    {
+      ns = key.slice(0, colon);
+      key = key.slice(colon+1);
+    }
+
+    const spaces = (typeof ns === S && ns !== GLOBAL) ? [ns, GLOBAL] : [GLOBAL];
+    const wanted = opts.locale ?? this.locale;
+    for (const locale of this.chain(wanted))
+    {
+      const catalogs = this.catalogs.get(locale);
+      if (!catalogs) continue;
+      for (const space of spaces)
+      {
+        const msg = catalogs.get(space)?.[key];
+        if (typeof msg === S)
+        { // Keep the region unless it's from a different language.
+          const same = (wanted === locale || wanted.startsWith(locale+'-'));
+          return [msg, same ? wanted : locale];
+        }
+      }
+    }
+  }
+
+  /**
+   * Translate a message.
+   *
+   * @param {string} key - The message key (see `find()`).
+   * @param {object} [params] Values for the message arguments.
+   * @param {object} [opts] Options for `find()`.
+   * @returns {string} The formatted message; if no message was found,
+   * the key is returned as is.
+   * 
+   * Messages found in a fallback locale are formatted using that locale,
+   * so the plural rules match the language of the message.
+   */
+  t(key, params={}, opts={})
+  {
+    const found = this._find(key, opts);
+    if (found === undefined)
+    {
+      if (this.app.options.debug)
+        console.debug("Missing i18n message", {key, opts, i18n: this});
+      return key;
+    }
+    return this.format(found[0], params, found[1]);
+  }
+
+  /**
+   * Format an ICU-style message string.
+   * @param {string} msg - The message.
+   * @param {object} [params] Values for the message arguments.
+   * @param {string} [locale=this.locale] Locale to use.
+   * @returns {string}
+   */
+  format(msg, params={}, locale=this.locale)
+  {
+    const cache = this.cache;
+    if (!cache.has(msg)) cache.set(msg, parse(msg));
+    return this._render(cache.get(msg), params, locale);
+  }
+
+  // part of format()
+  _render(parts, params, locale, count)
+  {
+    let out = '';
+    for (const part of parts)
+    {
+      if (typeof part === S)
+      {
+        out += part;
+      }
+      else if (part.hash)
+      {
+        out += this.formatNumber(count, {}, locale);
+      }
+      else
+      {
+        out += this._renderArg(part, params, locale);
+      }
+    }
+    return out;
+  }
+
+  // part of format()
+  _renderArg(arg, params, locale)
+  {
+    const value = params[arg.name];
+    switch (arg.type)
+    {
+      case 'number':
+        return this.formatNumber(value, numberStyle(arg.style), locale);
+      case 'date':
+        return this.formatDate(value, {dateStyle: arg.style || 'medium'}, locale);
+      case 'time':
+        return this.formatDate(value, {timeStyle: arg.style || 'medium'}, locale);
+      case 'plural':
+      case 'selectordinal':
+      {
+        const n = Number(value);
+        const type = (arg.type === 'plural') ? 'cardinal' : 'ordinal';
+        const opts = arg.options;
+        const sub = opts['='+n]
+          ?? opts[this._rules(locale, type).select(n)]
+          ?? opts.other ?? [];
+        return this._render(sub, params, locale, n);
+      }
+      case 'select':
+      {
+        const opts = arg.options;
+        const sub = opts[String(value)] ?? opts.other ?? [];
+        return this._render(sub, params, locale);
+      }
+      default:
+        return (value === undefined) ? '{'+arg.name+'}' : String(value);
+    }
+  }
+
+  // Get a cached Intl object.
+  _intl(Type, locale, opts)
+  {
+    const key = Type.name+'|'+locale+'|'+JSON.stringify(opts);
+    const formatters = this.formatters;
+    if (!formatters.has(key)) formatters.set(key, new Type(locale, opts));
+    return formatters.get(key);
+  }
+
+  // Get plural rules.
+  _rules(locale, type)
+  {
+    return this._intl(Intl.PluralRules, locale, {type});
+  }
+
+  /**
+   * Format a number using `Intl.NumberFormat`.
+   * @param {number} value - The number.
+   * @param {object} [opts] Options for `Intl.NumberFormat`.
+   * @param {string} [locale=this.locale] Locale to use.
+   * @returns {string}
+   */
+  formatNumber(value, opts={}, locale=this.locale)
+  {
+    return this._intl(Intl.NumberFormat, locale, opts).format(value);
+  }
+
+  /**
+   * Format a date using `Intl.DateTimeFormat`.
+   * @param {(Date|number|string)} value - The date (or timestamp).
+   * @param {object} [opts] Options for `Intl.DateTimeFormat`.
+   * @param {string} [locale=this.locale] Locale to use.
+   * @returns {string}
+   */
+  formatDate(value, opts={}, locale=this.locale)
+  {
+    const date = (value instanceof Date) ? value : new Date(value);
+    return this._intl(Intl.DateTimeFormat, locale, opts).format(date);
+  }
+
+}
+
+// Options for a `{name, number, style}` argument.
+function numberStyle(style)
+{
+  switch (style)
+  {
+    case 'integer': return {maximumFractionDigits: 0};
+    case 'percent': return {style: 'percent'};
+    default:        return {};
+  }
+}
+
+def(I18n, 'parse', parse);
+
+module.exports = I18n;
@@ -11,16 +11,76 @@ exports = module.exports =
    */
   App: require('./app'),
 
+  /**
+   * @see {@link module:@lumjs/web-app/components}
+   */
+  Components: require('./components'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/config}
+   */
+  config: require('./config'),
+
   /**
    * @see {@link module:@lumjs/web-app/extension}
    */
   Extension: require('./extension'),
 
+  /**
+   * @see {@link module:@lumjs/web-app/features}
+   */
+  Features: require('./features'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/i18n}
+   */
+  I18n: require('./i18n'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/inspector}
+   */
+  Inspector: require('./inspector'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/interceptors}
+   */
+  Interceptors: require('./interceptors'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/mock}
+   */
+  MockService: require('./mock'),
+
   /**
    * @see {@link module:@lumjs/web-app/modules}
    */
   modules: require('./modules'),
 
+  /**
+   * @see {@link module:@lumjs/web-app/perf}
+   */
+  Perf: require('./perf'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/router}
+   */
+  Router: require('./router'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/semver}
+   */
+  semver: require('./semver'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/state}
+   */
+  State: require('./state'),
+
+  /**
+   * @see {@link module:@lumjs/web-app/storage}
+   */
+  storage: require('./storage'),
+
   // TODO: document this
   Util: require('./util'),
 
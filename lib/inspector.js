@@ -0,0 +1,395 @@
+"use strict";
+
+const CTX = require('./ctx');
+const core = require('@lumjs/core');
+const {def,F,S,N,isObj} = core.types;
+
+// The App methods that trigger events on more than one target.
+const VIA =
+[
+  'triggerExt', 'triggerAll', 'triggerThisExt', 'triggerExtThis',
+  'triggerAllAsync',
+];
+
+// The current time (in milliseconds).
+const now = () => (typeof globalThis.performance?.now === F)
+  ? globalThis.performance.now()
+  : Date.now();
+
+/**
+ * A fixed size buffer that drops the oldest items when full.
+ *
+ * @alias module:@lumjs/web-app/inspector.RingBuffer
+ */
+class RingBuffer
+{
+  /**
+   * Build a ring buffer.
+   * @param {number} size - Maximum number of items.
+   */
+  constructor(size)
+  {
+    this.size  = size;
+    this.items = [];
+    this.start = 0;
+  }
+
+  /**
+   * Add an item.
+   * @param {*} item
+   * @returns {object} `this`
+   */
+  push(item)
+  {
+    if (this.items.length < this.size)
+    {
+      this.items.push(item);
+    }
+    else if (this.size > 0)
+    {
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.size;
+    }
+    return this;
+  }
+
+  /**
+   * Get the items, oldest first.
+   * @returns {Array}
+   */
+  toArray()
+  {
+    return this.items.slice(this.start).concat(this.items.slice(0, this.start));
+  }
+
+  /**
+   * Remove all items.
+   * @returns {object} `this`
+   */
+  clear()
+  {
+    this.items.length = 0;
+    this.start = 0;
+    return this;
+  }
+}
+
+/**
+ * Keep track of the event listeners assigned to an observable object.
+ *
+ * Wraps the `on()` and `off()` methods; only listeners assigned after
+ * this was called are known. Called by `attach()` when the inspector
+ * is enabled.
+ *
+ * @param {object} obj - The observable object.
+ * @returns {object} `obj`
+ * @alias module:@lumjs/web-app/inspector.trackListeners
+ */
+function trackListeners(obj)
+{
+  if (obj[CTX.LISTENERS]) return obj;
+
+  const listeners = new Map();
+  def(obj, CTX.LISTENERS, {value: listeners});
+
+  const on = obj.on, off = obj.off;
+  if (typeof on === F)
+  {
+    def(obj, 'on', function(type, handler)
+    {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(handler);
+      return on.apply(this, arguments);
+    });
+  }
+  if (typeof off === F)
+  {
+    def(obj, 'off', function(type, handler)
+    {
+      if (handler === undefined) listeners.delete(type);
+      else listeners.get(type)?.delete(handler);
+      return off.apply(this, arguments);
+    });
+  }
+
+  return obj;
+}
+
+// The id of a traced extension (or its class name if it has no app yet).
+function targetId(ext)
+{
+  try
+  {
+    return ext.id;
+  }
+  catch (err)
+  {
+    return ext.constructor.name;
+  }
+}
+
+// Count the known listeners for each event type.
+function listenerCounts(obj)
+{
+  const counts = {};
+  const listeners = obj[CTX.LISTENERS];
+  if (listeners)
+  {
+    for (const [type, handlers] of listeners)
+    {
+      if (handlers.size) counts[String(type)] = handlers.size;
+    }
+  }
+  return counts;
+}
+
+// Copy plain data for a snapshot.
+function copyData(value)
+{
+  try
+  {
+    return JSON.parse(JSON.stringify(value));
+  }
+  catch (err)
+  {
+    return Object.assign({}, value);
+  }
+}
+
+/**
+ * A debugging inspector for an App instance.
+ *
+ * This is created by the App constructor as `app.inspector`, and is
+ * enabled by `options.debug`, which may be `true`, or an object with
+ * the following (optional) properties:
+ *
+ * - `trace` (number, default `500`): The number of events kept in the
+ *   trace buffer; `0` disables tracing.
+ * - `args` (boolean, default `false`): Keep the event arguments in
+ *   the trace? This keeps references to them until they are dropped
+ *   from the buffer.
+ * - `global` (boolean or string, default `false`): Expose a hook for
+ *   browser devtools as `window.__LUM_APP__` (or the property named).
+ *   The hook has `app`, `inspect()`, and `trace()` properties.
+ *
+ * While enabled, every event triggered on the app or its extensions
+ * is recorded in the trace, with the following properties:
+ *
+ * - `seq`      : A sequence number.
+ * - `type`     : The event type.
+ * - `target`   : `'app'` or the extension id.
+ * - `origin`   : The (outermost) App method that triggered the event on
+ *                multiple targets (e.g. `'triggerAll'`), or `'direct'`.
+ * - `depth`    : How many events were being triggered when this was.
+ * - `time`     : When the event was triggered (`performance.now()`).
+ * - `duration` : How long the (synchronous) handlers took.
+ * - `args`     : The event arguments (only if `args` is enabled).
+ *
+ * @exports module:@lumjs/web-app/inspector
+ */
+class Inspector
+{
+  /**
+   * Build an inspector.
+   * @param {module:@lumjs/web-app/app} app - The parent App instance.
+   * @param {(boolean|object)} [opts] The `options.debug` value.
+   */
+  constructor(app, opts)
+  {
+    const enabled = Boolean(opts);
+    const conf = isObj(opts) ? opts : {};
+    const size = (typeof conf.trace === N) ? conf.trace : 500;
+
+    def(this, 'app', app);
+    def(this, 'enabled', enabled);
+    def(this, 'keepArgs', Boolean(conf.args));
+    def(this, 'buffer', {value: new RingBuffer(enabled ? size : 0)});
+    def(this, 'attached', {value: new WeakSet()});
+    def(this, 'via', []);
+    def(this, 'seq', {value: 0, writable: true});
+    def(this, 'depth', {value: 0, writable: true});
+
+    if (enabled && conf.global)
+    {
+      const prop = (typeof conf.global === S) ? conf.global : '__LUM_APP__';
+      globalThis[prop] =
+      {
+        app,
+        inspect: () => app.inspect(),
+        trace: (count) => this.trace(count),
+      };
+    }
+  }
+
+  /**
+   * Start tracing the events triggered on a target,
+   * and keep track of its event listeners (see `trackListeners()`).
+   *
+   * This is done automatically for the app and all of its extensions
+   * if the inspector is enabled. Extensions built with an app are
+   * attached before any of their hooks are set up.
+   *
+   * @param {object} target - The app or an extension.
+   * @returns {object} `this`
+   */
+  attach(target)
+  {
+    if (!this.enabled || typeof target.trigger !== F 
+      || this.attached.has(target)) return this;
+    this.attached.add(target);
+
+    trackListeners(target);
+    if (this.buffer.size === 0) return this;
+
+    const insp = this;
+    const app = this.app;
+    const trigger = target.trigger;
+
+    const traced = function(type, ...args)
+    {
+      const entry =
+      {
+        seq: insp.seq++,
+        type: (typeof type === S) ? type : String(type),
+        // An extension's id may not be known yet (e.g. during `init`),
+        // so it's looked up when the trace is read (see trace()).
+        target: (target === app) ? 'app' : target,
+        origin: insp.via.find(v => v.depth === insp.depth)?.name ?? 'direct',
+        depth: insp.depth,
+        time: now(),
+        duration: 0,
+      };
+      if (insp.keepArgs) entry.args = args;
+      insp.buffer.push(entry);
+
+      insp.depth++;
+      try
+      {
+        return trigger.call(this, type, ...args);
+      }
+      finally
+      {
+        insp.depth--;
+        entry.duration = now() - entry.time;
+      }
+    }
+
+    def(target, 'trigger', traced);
+    def(target, 'emit', traced);
+
+    if (target === app)
+    { // Keep track of which App method is triggering events.
+      for (const name of VIA)
+      {
+        const meth = app[name];
+        const wrapped = function()
+        {
+          insp.via.push({name, depth: insp.depth});
+          try
+          {
+            return meth.apply(this, arguments);
+          }
+          finally
+          {
+            insp.via.pop();
+          }
+        }
+        def(app, name, wrapped);
+        const alias = name.replace(/^trigger/, 'emit');
+        if (typeof app[alias] === F) def(app, alias, wrapped);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the traced events.
+   * @param {number} [count] Only the most recent `count` events.
+   * @returns {object[]} Oldest first.
+   */
+  trace(count)
+  {
+    const all = this.buffer.toArray();
+    for (const entry of all)
+    {
+      if (typeof entry.target !== S)
+      {
+        entry.target = targetId(entry.target);
+      }
+    }
+    return (typeof count === N) ? all.slice(-count) : all;
+  }
+
+  /**
+   * Clear the trace.
+   * @returns {object} `this`
+   */
+  clear()
+  {
+    this.buffer.clear();
+    return this;
+  }
+
+  /**
+   * Build a snapshot of the app.
+   *
+   * Use `app.inspect()` rather than calling this directly.
+   *
+   * @returns {object} See {@link module:@lumjs/web-app/app#inspect}
+   */
+  snapshot()
+  {
+    const app = this.app;
+
+    const extensions = app.orderedExtensions.map(ext =>
+    {
+      const cls = ext.constructor;
+      return {
+        id: ext.id,
+        class: cls.name,
+        hooks: (cls.hooks ?? []).filter(name => typeof ext[name] === F),
+        listeners: listenerCounts(ext),
+        requires: Array.isArray(cls.requires)
+          ? cls.requires.map(dep => (typeof dep === F) ? dep.name : dep)
+          : [],
+        feature: cls.feature,
+        disabled: app.isDisabled(ext),
+        faults: app.faultsFor(ext),
+        components: app.components.of(ext).length,
+      };
+    });
+
+    const webservices = Object.keys(app.ws).map(id =>
+    {
+      const ws = app.ws[id];
+      return {
+        id,
+        class: ws?.constructor?.name,
+        mocked: app[CTX.WS_MOCKS].has(id),
+      };
+    });
+
+    const modules = app.registry ? app.registry.manifest().modules : [];
+
+    return {
+      inited: app.isInited,
+      started: app.isStarted,
+      extensions,
+      webservices,
+      modules,
+      services: Array.from(app[CTX.SERVICES].keys()),
+      listeners: listenerCounts(app),
+      state: copyData(app.state),
+      features: app.features.all,
+      locale: app.i18n.locale,
+      trace: this.trace().length,
+    };
+  }
+
+}
+
+def(Inspector, 'RingBuffer', RingBuffer);
+def(Inspector, 'trackListeners', trackListeners);
+
+module.exports = Inspector;
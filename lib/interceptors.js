@@ -0,0 +1,143 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F} = core.types;
+
+/**
+ * An ordered list of interceptor functions.
+ * 
+ * @alias module:@lumjs/web-app/interceptors.Chain
+ */
+class InterceptorChain
+{
+  constructor()
+  {
+    this.handlers = [];
+  }
+
+  /**
+   * Add an interceptor.
+   * @param {function} fn - Interceptor function.
+   * @returns {function} The `fn` (pass it to `eject()` to remove it).
+   * @throws {TypeError} If `fn` is not a function.
+   */
+  use(fn)
+  {
+    if (typeof fn !== F)
+    {
+      throw new TypeError("Interceptor must be a function");
+    }
+    this.handlers.push(fn);
+    return fn;
+  }
+
+  /**
+   * Remove an interceptor.
+   * @param {function} fn - Interceptor function to remove.
+   * @returns {boolean} If the interceptor was found and removed.
+   */
+  eject(fn)
+  {
+    const pos = this.handlers.indexOf(fn);
+    if (pos !== -1)
+    {
+      this.handlers.splice(pos, 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Remove all interceptors.
+   * @returns {object} `this`
+   */
+  clear()
+  {
+    this.handlers.length = 0;
+    return this;
+  }
+
+  /**
+   * Pass a value through each interceptor in order.
+   * 
+   * Each interceptor is called with the current value and any
+   * additional `args`. If it returns anything other than `undefined`
+   * (or a promise that resolves to anything other than `undefined`), 
+   * that becomes the new value passed to the next interceptor.
+   * 
+   * @param {*} value - The initial value.
+   * @param {...any} args - Additional arguments for the interceptors.
+   * @returns {Promise} Resolves to the final value.
+   */
+  async run(value, ...args)
+  {
+    for (const fn of this.handlers.slice())
+    {
+      const newValue = await fn(value, ...args);
+      if (newValue !== undefined)
+      {
+        value = newValue;
+      }
+    }
+    return value;
+  }
+}
+
+/**
+ * Request, response, and error interceptors for webservices.
+ * 
+ * - `request`  : Called with the request object, which has `ws`, `id`,
+ *                `url`, and `init` properties. May modify the request
+ *                (e.g. adding headers to `init.headers`) or return a 
+ *                new request object.
+ * - `response` : Called with the response and the request. May return
+ *                a new response (e.g. the unwrapped data), or throw an 
+ *                error to have the error interceptors handle it.
+ * - `error`    : Called with the error and the request. The first one to
+ *                return anything other than `undefined` _recovers_ from
+ *                the error, and that value is used as the response.
+ *                An error interceptor may also throw a new (normalized)
+ *                error, which will be thrown instead.
+ * 
+ * @prop {module:@lumjs/web-app/interceptors.Chain} request
+ * @prop {module:@lumjs/web-app/interceptors.Chain} response
+ * @prop {module:@lumjs/web-app/interceptors.Chain} error
+ * 
+ * @exports module:@lumjs/web-app/interceptors
+ */
+class Interceptors
+{
+  constructor()
+  {
+    this.request  = new InterceptorChain();
+    this.response = new InterceptorChain();
+    this.error    = new InterceptorChain();
+  }
+
+  /**
+   * Pass an error through the error interceptors.
+   * 
+   * @param {*} error - The error that was thrown.
+   * @param {object} request - The request object.
+   * @returns {Promise} Resolves to the response if an interceptor
+   * recovered from the error.
+   * @throws {*} The error, if no interceptors recovered from it.
+   */
+  async handleError(error, request)
+  {
+    for (const fn of this.error.handlers.slice())
+    {
+      const response = await fn(error, request);
+      if (response !== undefined)
+      {
+        return response;
+      }
+    }
+    throw error;
+  }
+
+}
+
+Interceptors.Chain = InterceptorChain;
+
+module.exports = Interceptors;
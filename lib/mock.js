@@ -0,0 +1,259 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,S,N,isObj} = core.types;
+const {compileRoute,parseQuery} = require('./util');
+
+/**
+ * A minimal `fetch()` style Response, used if there is no global one.
+ * @private
+ */
+class MockResponse
+{
+  constructor(body, init={})
+  {
+    this.status = init.status ?? 200;
+    this.statusText = init.statusText ?? '';
+    this.ok = (this.status >= 200 && this.status < 300);
+    this.headers = new Map(Object.entries(init.headers ?? {}));
+    this._body = body;
+  }
+
+  async text()
+  {
+    return this._body ?? '';
+  }
+
+  async json()
+  {
+    return JSON.parse(this._body);
+  }
+
+  clone()
+  {
+    const {status, statusText} = this;
+    return new MockResponse(this._body, 
+      {status, statusText, headers: Object.fromEntries(this.headers)});
+  }
+}
+
+/**
+ * An in-process stand-in for a Webservice transport.
+ * 
+ * Uses fixture routes to build the responses, may simulate latency and
+ * errors, and records every call that was made.
+ * 
+ * Fixture routes are an object where each key is an HTTP method and a
+ * path pattern separated by a space (e.g. `'GET /users/:id'`), or just
+ * a path pattern which matches any method. The patterns use the same 
+ * syntax as {@link module:@lumjs/web-app/router#route}.
+ * 
+ * Each value is either the data to respond with (it will be encoded as
+ * JSON), or a function which is passed the mock request object, and 
+ * returns the data (or a promise that resolves to the data). A function
+ * may also return the value of `mock.reply()` to set the response status
+ * and headers, or throw an error to simulate a network failure.
+ * 
+ * The mock request objects (which are also what is saved in `calls`)
+ * have the following properties:
+ * 
+ * - `method`  : The HTTP method (uppercase).
+ * - `url`     : The URL that was requested.
+ * - `path`    : The URL path.
+ * - `params`  : Params from the route pattern.
+ * - `query`   : The parsed query string.
+ * - `body`    : The request body (parsed from JSON if possible).
+ * - `init`    : The `init` options passed to `fetch()`.
+ * - `pattern` : The route key that matched (`null` if none did).
+ * 
+ * @prop {Array} calls - Every request that has been made.
+ * 
+ * @exports module:@lumjs/web-app/mock
+ */
+class MockService
+{
+  /**
+   * Build a mock service.
+   * @param {object} [routes] Fixture routes.
+   * @param {object} [opts] Options
+   * @param {(number|number[])} [opts.latency=0] Simulated latency in ms;
+   * may be `[min, max]` for a random latency in that range.
+   * @param {number} [opts.errorRate=0] Chance (from `0` to `1`) of any
+   * request failing with a simulated network error.
+   * @param {number} [opts.notFound=404] Status for unmatched requests.
+   */
+  constructor(routes={}, opts={})
+  {
+    this.routes = [];
+    this.calls = [];
+    this.latency = opts.latency ?? 0;
+    this.errorRate = opts.errorRate ?? 0;
+    this.notFound = opts.notFound ?? 404;
+    this.add(routes);
+  }
+
+  /**
+   * Add fixture routes.
+   * @param {object} routes - Fixture routes.
+   * @returns {object} `this`
+   */
+  add(routes)
+  {
+    if (isObj(routes))
+    {
+      for (const key in routes)
+      {
+        const parts = key.trim().split(/\s+/);
+        const method = (parts.length > 1) ? parts.shift().toUpperCase() : '*';
+        const compiled = compileRoute(parts.join(' '));
+        this.routes.push(Object.assign(compiled, 
+          {key, method, fixture: routes[key]}));
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Build a reply with a custom status and headers.
+   * @param {*} data - The data to respond with.
+   * @param {number} [status=200] HTTP status.
+   * @param {object} [headers] Extra response headers.
+   * @returns {object} A reply object for fixture functions to return.
+   */
+  reply(data, status=200, headers={})
+  {
+    return {[REPLY]: true, data, status, headers};
+  }
+
+  /**
+   * Clear the recorded calls.
+   * @returns {object} `this`
+   */
+  reset()
+  {
+    this.calls.length = 0;
+    return this;
+  }
+
+  /**
+   * Get the recorded calls matching a method and/or path.
+   * @param {string} [method] HTTP method (any if not specified).
+   * @param {string} [path] Exact path (any if not specified).
+   * @returns {Array}
+   */
+  callsFor(method, path)
+  {
+    return this.calls.filter(call => 
+      (!method || call.method === method.toUpperCase())
+      && (!path || call.path === path));
+  }
+
+  // Wait for the simulated latency.
+  _delay()
+  {
+    let ms = this.latency;
+    if (Array.isArray(ms))
+    {
+      const [min, max] = ms;
+      ms = min + Math.random() * (max - min);
+    }
+    if (typeof ms === N && ms > 0)
+    {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    }
+  }
+
+  /**
+   * The transport method; works like `fetch()`.
+   * @param {string} url - The request URL.
+   * @param {object} [init] Request options.
+   * @returns {Promise} Resolves to a Response.
+   */
+  async fetch(url, init={})
+  {
+    const parsed = new URL(url, 'http://mock.invalid');
+    const method = (init.method ?? 'GET').toUpperCase();
+
+    let body = init.body;
+    if (typeof body === S)
+    {
+      try { body = JSON.parse(body); } catch (e) { /* leave as is */ }
+    }
+
+    const request = 
+    {
+      method, url, body, init,
+      path: parsed.pathname,
+      query: parseQuery(parsed.search),
+      params: {},
+      pattern: null,
+    };
+    this.calls.push(request);
+
+    await this._delay();
+
+    if (this.errorRate > 0 && Math.random() < this.errorRate)
+    {
+      throw new TypeError("Simulated network error");
+    }
+
+    const route = this.routes.find(r => 
+      (r.method === '*' || r.method === method) && r.regex.test(request.path));
+
+    if (!route)
+    {
+      return makeResponse(null, this.notFound);
+    }
+
+    const matched = route.regex.exec(request.path);
+    if (route.keys)
+    {
+      route.keys.forEach((key, i) => 
+      {
+        if (matched[i+1]) request.params[key] = decodeURIComponent(matched[i+1]);
+      });
+    }
+    else if (matched.groups)
+    {
+      Object.assign(request.params, matched.groups);
+    }
+    request.pattern = route.key;
+
+    let data = route.fixture;
+    if (typeof data === F)
+    {
+      data = await data.call(this, request);
+    }
+
+    if (isObj(data) && data[REPLY])
+    {
+      return makeResponse(data.data, data.status, data.headers);
+    }
+
+    return makeResponse(data);
+  }
+
+}
+
+const REPLY = Symbol('@lumjs/web-app/mock~REPLY');
+
+function makeResponse(data, status=200, headers={})
+{
+  const body = (data === undefined || data === null) 
+    ? null 
+    : JSON.stringify(data);
+  const init = 
+  {
+    status,
+    headers: Object.assign({'Content-Type': 'application/json'}, headers),
+  };
+
+  if (typeof globalThis.Response === F)
+  {
+    return new globalThis.Response(body, init);
+  }
+
+  return new MockResponse(body, init);
+}
+
+module.exports = MockService;
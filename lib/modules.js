@@ -1,10 +1,22 @@
 "use strict";
 
+const CTX = require('./ctx');
 const core = require('@lumjs/core');
-const {S,F,isObj,isComplex} = core.types;
+const {def,S,F,isObj,isComplex} = core.types;
 const {getObjectPath,setObjectPath} = core.obj;
 const App = require('./app');
 const Ext = require('./extension');
+const {featureOf} = require('./features');
+const {makeObservable} = require('./util');
+const semver = require('./semver');
+
+// Get the version declared by a module (or its class).
+function versionOf(mod)
+{
+  const version = (typeof mod === F) ? mod.version
+    : (isObj(mod) ? (mod.version ?? mod.constructor?.version) : undefined);
+  return (typeof version === S) ? version : undefined;
+}
 
 /**
  * @module module:@lumjs/web-app/modules
@@ -25,6 +37,23 @@ const Ext = require('./extension');
  * @prop {object} opts - Options passed to the constructor.
  * @prop {string[]} paths - An array of possible property paths for the
  * `registration.defaultTarget` getter.
+ * @prop {Map} defined - Modules that may be loaded with `load()`;
+ * keys are string ids, values are `{url, deps, type}` objects.
+ * @prop {Map} loading - Promises for modules being loaded (or loaded)
+ * by `load()`; keys are string ids.
+ * @prop {Map} meta - Metadata for registered modules; keys are string 
+ * ids, values are `{id, version, requires, targets, lazy, order}` objects
+ * (see `manifest()`).
+ * 
+ * The registry is observable, and triggers `moduleLoaded` (with the id
+ * and the module) and `moduleFailed` (with the id and the error) events.
+ * If the registry has an app, they are also triggered with `triggerAll()`.
+ * 
+ * A `moduleConflict` event is triggered (the same way) whenever a module 
+ * is registered with a version that doesn't satisfy the version range
+ * required by another module, or vice versa (see `check()`). Nothing
+ * is logged, so listen for the event (or use `opts.strict`) to find out
+ * about conflicts as they happen.
  * 
  * @exports module:@lumjs/web-app/modules.Registry
  */
@@ -36,32 +65,67 @@ class ModuleRegistry
    * @param {(string|symbol)} [opts.ikey='instance'] See getInstanceFor()
    * @param {string[]} [opts.paths] Assigned to `this.paths`;
    * if not specified, `['reg.app.util','reg.opts']` will be used.
+   * @param {object} [opts.modules] Passed to `define()`.
+   * @param {function} [opts.loader] A custom loader for `load()`;
+   * passed the `url` and the definition object, it must return a 
+   * promise that resolves once the module has loaded (optionally to
+   * the module itself). Required if there is no DOM.
+   * @param {boolean} [opts.hmr=false] If `true`, registering a module
+   * with an id that is already in use will `replace()` the old module
+   * rather than throwing an error; for live-reloading in development.
+   * @param {boolean} [opts.strict=false] If `true`, registering a module
+   * that would cause a version conflict throws an error (rather than 
+   * reporting the conflict and registering it anyway).
    */
   constructor(opts={})
   {
-    this.mods   = this.used   = new Map();
-    this.modIds = this.idsFor = new Map();
-    this.opts   = opts;
-    this.paths  = Array.isArray(opts.paths)
+    this.mods    = this.used   = new Map();
+    this.modIds  = this.idsFor = new Map();
+    this.defined = new Map();
+    this.loading = new Map();
+    this.meta    = new Map();
+    this.order   = 0;
+    this.opts    = opts;
+    this.paths   = Array.isArray(opts.paths)
       ? opts.paths 
       : ['reg.app.util', 'reg.opts'];
+
+    makeObservable(this, opts);
+
+    if (isObj(opts.modules))
+    {
+      this.define(opts.modules);
+    }
   }
 
   /**
    * Start the registration process for a module.
    * @param {(object|function)} mod - Module definition
-   * @returns {module:@lumjs/web-app/modules.Registry} `this`
+   * 
+   * If `lazy` is specified, this must be a loader function for a
+   * lazy-loaded Extension, e.g. `() => import('./reports-ext.js')`.
+   * 
+   * @param {object} [lazy] Conditions for a lazy-loaded Extension;
+   * see {@link module:@lumjs/web-app/app#add} for details.
+   * 
+   * When `use()` is called, the loader will be passed to `app.add()`,
+   * using the module id as the default `lazy.id` value.
+   * Once the extension has been loaded, the registry will be updated 
+   * to use the loaded Extension class instead of the loader function.
+   * 
+   * @returns {module:@lumjs/web-app/modules~Registration}
    */
-  for(mod)
+  for(mod, lazy)
   {
     if (isComplex(mod))
     {
       if (mod instanceof App)
-      { // Keep a reference to the app in the registry
+      { // Keep a reference to the app in the registry, and vice versa.
         this.app = mod;
+        def(mod, 'registry', {value: this});
       }
 
-      return new ModuleRegistration(mod, this);
+      return new ModuleRegistration(mod, this, lazy);
     }
     else
     {
@@ -105,6 +169,538 @@ class ModuleRegistry
     return this.for(mod).use(id);
   }
 
+  /**
+   * Unregister a module.
+   * 
+   * If the module is an Extension class or instance, and the registry
+   * has an app, the extension is also removed from the app (along with 
+   * any extensions that depend on it; see `app.remove()`).
+   * 
+   * The module may be registered (or loaded with `load()`) again later.
+   * 
+   * @param {string} id - The module id.
+   * @returns {module:@lumjs/web-app/modules.Registry} `this`
+   */
+  unregister(id)
+  {
+    const ext = this._extFor(id);
+    if (ext)
+    {
+      this.app.remove(ext);
+    }
+    this._forget(id);
+    return this;
+  }
+
+  /**
+   * Replace a registered module with a new version of it.
+   * 
+   * This is meant for hot module replacement during development.
+   * If no module is registered with the id, the new module is simply
+   * registered (i.e. `this.for(newMod).use(id)`).
+   * 
+   * If the old module is an Extension class or instance that has been
+   * added to the app, and the new module is an Extension class or 
+   * instance, then the new extension takes the place of the old one:
+   * 
+   * 1. If the new module is a class, an instance of it is constructed
+   *    (without an app, so it is not configured until it is added).
+   *    A new instance should not have had its app set either.
+   * 2. The entries in the `app.dataFor()` map of the old extension are
+   *    copied to the map of the new one.
+   * 3. If the old extension has a `serialize()` method, the value it
+   *    returns is passed to the `deserialize()` method of the new one
+   *    (if it has one).
+   * 4. The old extension is removed from the app; extensions that depend
+   *    on it are NOT removed.
+   * 5. The new extension is added to the app. If the app has already
+   *    been started, a `restart` event (rather than `start`) is triggered
+   *    on the new extension.
+   * 6. Any message catalogs of the new module are added to the app.
+   * 
+   * Any other kind of module is unregistered, and the new module is
+   * registered in its place.
+   * 
+   * @param {string} id - The module id.
+   * @param {(object|function)} newMod - The new module.
+   * @returns {module:@lumjs/web-app/modules.Registry} `this`
+   * @throws {RangeError} If `opts.strict` is enabled and the new module
+   * has version conflicts (nothing is replaced in that case).
+   */
+  replace(id, newMod)
+  {
+    return this._replace(id, this.for(newMod));
+  }
+
+  // part of replace() and use(); using a registration for the new module.
+  _replace(id, registration)
+  {
+    const newMod = registration.mod;
+    if (this.mods.get(id) === newMod)
+    { // Nothing to replace.
+      return this;
+    }
+
+    // Before anything is changed.
+    registration._checkStrict(id);
+
+    const oldExt = this._extFor(id);
+    if (!oldExt || !(Ext.isPrototypeOf(newMod) || newMod instanceof Ext))
+    {
+      this.unregister(id);
+      return registration.use(id);
+    }
+
+    const app = this.app;
+    const ext = (typeof newMod === F) ? new newMod() : newMod;
+    def(ext, CTX.EXT_REPLACES, true);
+
+    const data = app.dataFor(ext);
+    for (const [key, value] of app.dataFor(oldExt))
+    {
+      data.set(key, value);
+    }
+
+    if (typeof oldExt.serialize === F)
+    {
+      const payload = oldExt.serialize();
+      if (typeof ext.deserialize === F)
+      {
+        ext.deserialize(payload);
+      }
+    }
+
+    app.remove(oldExt, {dependents: false});
+    this._forget(id);
+
+    app.add(ext);
+
+    this.mods.set(id, newMod);
+    this.modIds.set(newMod, id);
+    this._record(id, registration);
+    registration._addCatalogs(id);
+    return this;
+  }
+
+  // The loaded extension for a registered module (if any).
+  _extFor(id)
+  {
+    const app = this.app;
+    const mod = this.mods.get(id);
+    if (!(app instanceof App)) return;
+
+    const ext = (mod instanceof Ext) ? mod
+      : (Ext.isPrototypeOf(mod) ? app.findExt(mod) : undefined);
+
+    if (ext && app.orderedExtensions.includes(ext))
+    {
+      return ext;
+    }
+  }
+
+  // Remove a module from the maps.
+  _forget(id)
+  {
+    if (this.mods.has(id))
+    {
+      this.modIds.delete(this.mods.get(id));
+      this.mods.delete(id);
+    }
+    this.loading.delete(id);
+    this.meta.delete(id);
+  }
+
+  // Record the metadata for a module, and report any conflicts.
+  _record(id, registration)
+  {
+    const info = registration.info;
+    this.meta.set(id, Object.assign({id}, info, {order: this.order++}));
+
+    for (const conflict of this._conflicts(id, info.version, info.requires))
+    {
+      this._emit('moduleConflict', conflict);
+    }
+  }
+
+  // Find conflicts between a module and the registered modules.
+  _conflicts(id, version, requires)
+  {
+    const found = [];
+
+    for (const dep in requires)
+    {
+      const other = this.meta.get(dep);
+      if (other && dep !== id)
+      {
+        const conflict = this._conflict(id, dep, requires[dep], other.version);
+        if (conflict) found.push(conflict);
+      }
+    }
+
+    for (const other of this.meta.values())
+    {
+      if (other.id !== id && other.requires[id] !== undefined)
+      {
+        const conflict = this._conflict(other.id, id, other.requires[id], version);
+        if (conflict) found.push(conflict);
+      }
+    }
+
+    return found;
+  }
+
+  // Build a conflict object if a version doesn't satisfy a range.
+  _conflict(id, dep, range, version)
+  {
+    if (version !== undefined && semver.satisfies(version, range)) return;
+    const message = (version === undefined)
+      ? `Module '${id}' requires '${dep}' ${range}, but it has no version`
+      : `Module '${id}' requires '${dep}' ${range}, but it is ${version}`;
+    return {id, dep, range, version, message};
+  }
+
+  /**
+   * Check the version requirements of all registered modules.
+   * 
+   * @returns {object[]} A list of conflicts (empty if there are none).
+   * 
+   * Each conflict has an `id` (the module with the requirement), `dep` 
+   * (the module it requires), `range` (the required version range), 
+   * `version` (the registered version of `dep`, if known), and a
+   * `message` describing the problem.
+   * 
+   * If `dep` has not been registered, the conflict will also have a
+   * `missing` property set to `true`.
+   */
+  check()
+  {
+    const found = [];
+    for (const info of this.meta.values())
+    {
+      for (const dep in info.requires)
+      {
+        const range = info.requires[dep];
+        const other = this.meta.get(dep);
+        if (other)
+        {
+          const conflict = this._conflict(info.id, dep, range, other.version);
+          if (conflict) found.push(conflict);
+        }
+        else
+        {
+          found.push(
+          {
+            id: info.id, dep, range, 
+            version: undefined, 
+            missing: true,
+            message: `Module '${info.id}' requires '${dep}' ${range}, `
+              + `but it is not registered`,
+          });
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Get a manifest of the registered modules and their dependencies.
+   * 
+   * @returns {object} An object with two properties:
+   * 
+   * - `modules`   : An array of objects describing each module (in 
+   *                 registration order); see below.
+   * - `conflicts` : The conflicts found by `check()`.
+   * 
+   * Each module object has the following properties:
+   * 
+   * - `id`         : The module id.
+   * - `kind`       : What kind of module it is (see `kindOf()`).
+   * - `name`       : The name of the module class (or function).
+   * - `version`    : The module version (if known).
+   * - `requires`   : An object of version ranges, keyed by module id.
+   * - `requiredBy` : An array of the ids of modules that require it.
+   * - `targets`    : An array of the property paths modified by `set()`.
+   * - `order`      : The registration order (starting at `0`); replacing
+   *                  a module gives it a new number.
+   * 
+   * Everything in the manifest may be serialized as JSON.
+   */
+  manifest()
+  {
+    const all = Array.from(this.meta.values());
+    const modules = all.map(info =>
+    {
+      const mod = this.mods.get(info.id);
+      return {
+        id: info.id,
+        kind: this.kindOf(info.id),
+        name: ((typeof mod === F) ? mod.name : mod?.constructor?.name) || undefined,
+        version: info.version,
+        requires: Object.assign({}, info.requires),
+        requiredBy: all
+          .filter(other => other.requires[info.id] !== undefined)
+          .map(other => other.id),
+        targets: info.targets.slice(),
+        order: info.order,
+      };
+    });
+
+    return {modules, conflicts: this.check()};
+  }
+
+  /**
+   * The same as `manifest()`; used by `JSON.stringify()`.
+   * @returns {object}
+   */
+  toJSON()
+  {
+    return this.manifest();
+  }
+
+  /**
+   * Get the kind of a registered module.
+   * 
+   * @param {string} id - The module id.
+   * @returns {(string|undefined)} One of:
+   * 
+   * - `'app'`       : An App instance.
+   * - `'extension'` : An Extension class.
+   * - `'instance'`  : An Extension instance.
+   * - `'lazy'`      : A loader for a lazy-loaded Extension that has not
+   *                   been loaded yet (it becomes `'extension'` once it is).
+   * - `'function'`  : Any other function.
+   * - `'object'`    : Any other object.
+   * 
+   * Will be `undefined` if no module with that id is registered.
+   */
+  kindOf(id)
+  {
+    if (!this.mods.has(id)) return;
+    const mod = this.mods.get(id);
+
+    if (mod instanceof App) return 'app';
+    if (mod instanceof Ext) return 'instance';
+    if (typeof mod === F)
+    {
+      if (Ext.isPrototypeOf(mod)) return 'extension';
+      if (this.meta.get(id)?.lazy) return 'lazy';
+      return 'function';
+    }
+    return 'object';
+  }
+
+  /**
+   * Find registered modules.
+   * 
+   * @param {function} predicate - Passed a module object from the 
+   * manifest (see `manifest()`), and the module itself; should return
+   * `true` if the module matches.
+   * @returns {object[]} The matching module objects from the manifest.
+   */
+  find(predicate)
+  {
+    return this.manifest().modules
+      .filter(info => predicate(info, this.mods.get(info.id)));
+  }
+
+  /**
+   * Find registered modules of certain kinds.
+   * 
+   * @param {...string} kinds - The kinds to find (see `kindOf()`).
+   * @returns {object[]} The matching module objects from the manifest.
+   */
+  byKind(...kinds)
+  {
+    return this.find(info => kinds.includes(info.kind));
+  }
+
+  /**
+   * Define modules that may be loaded with `load()`.
+   * 
+   * @param {object} modules - A manifest of modules to define.
+   * 
+   * Each key is a module id, and each value is either the URL of the
+   * module, or an object with the following properties:
+   * 
+   * - `url`  : The URL of the module (required).
+   * - `deps` : An array of module ids that must be loaded first.
+   * - `type` : How to load it; `'script'` (a `<script>` tag), `'module'`
+   *   (a `<script type="module">` tag), or `'import'` (`import()`).
+   *   The default is `'import'` for `.mjs` files, and `'script'` 
+   *   otherwise. Relative URLs are resolved against the document.
+   * 
+   * Modules may only be loaded without a DOM if the registry has a
+   * custom `loader` option.
+   * 
+   * @returns {module:@lumjs/web-app/modules.Registry} `this`
+   */
+  define(modules)
+  {
+    for (const id in modules)
+    {
+      const entry = (typeof modules[id] === S) 
+        ? {url: modules[id]} 
+        : Object.assign({}, modules[id]);
+      if (typeof entry.url !== S)
+      {
+        throw new TypeError(`No url for module '${id}'`);
+      }
+      entry.deps = Array.isArray(entry.deps) ? entry.deps : [];
+      this.defined.set(id, entry);
+    }
+    return this;
+  }
+
+  /**
+   * Load a module (and its dependencies).
+   * 
+   * Scripts loaded with a `<script>` tag are expected to register 
+   * themselves with this registry (using the same id). Modules loaded 
+   * with `import()` that do not register themselves will be registered
+   * using their `default` export (or the module object if there is none).
+   * 
+   * If the module is already registered, or being loaded, it won't be
+   * loaded again.
+   * 
+   * @param {string} id - The module id.
+   * @param {string} [url] The module URL; if not specified, the module
+   * must have been defined with `define()`.
+   * @param {object} [opts] Options; the same as the `define()` objects.
+   * @param {string[]} [opts.deps] Module ids to load first.
+   * @param {string} [opts.type] How to load the module.
+   * 
+   * @returns {Promise} Resolves to the registered module (if any).
+   * Will be rejected if the module or any dependencies failed to load,
+   * or if a dependency is unknown or circular.
+   */
+  load(id, url, opts={})
+  {
+    if (this.loading.has(id))
+    {
+      return this.loading.get(id);
+    }
+
+    if (this.mods.has(id))
+    {
+      return Promise.resolve(this.mods.get(id));
+    }
+
+    if (typeof url === S)
+    {
+      this.define({[id]: Object.assign({}, opts, {url})});
+    }
+
+    const promise = this._load(id, []);
+    this.loading.set(id, promise);
+    promise.catch(() => this.loading.delete(id));
+    return promise;
+  }
+
+  /**
+   * Load all of the modules defined with `define()`.
+   * @returns {Promise} Resolves to an array of the modules.
+   */
+  loadAll()
+  {
+    return Promise.all(Array.from(this.defined.keys(), id => this.load(id)));
+  }
+
+  // part of load()
+  async _load(id, chain)
+  {
+    const entry = this.defined.get(id);
+
+    try
+    {
+      if (!entry)
+      {
+        throw new RangeError(`Unknown module '${id}'`);
+      }
+
+      await Promise.all(entry.deps.map(dep =>
+      {
+        if (chain.includes(dep) || dep === id)
+        {
+          const path = [...chain, id, dep].join(' -> ');
+          throw new RangeError("Circular module dependency: "+path);
+        }
+        if (this.mods.has(dep) || this.loading.has(dep))
+        {
+          return this.load(dep);
+        }
+        const promise = this._load(dep, [...chain, id]);
+        this.loading.set(dep, promise);
+        promise.catch(() => this.loading.delete(dep));
+        return promise;
+      }));
+
+      const loaded = await this._fetch(entry);
+
+      if (!this.mods.has(id) && loaded !== undefined)
+      { // The module did not register itself.
+        const mod = (isComplex(loaded) && loaded.default !== undefined)
+          ? loaded.default 
+          : loaded;
+        this.for(mod).use(id);
+      }
+    }
+    catch (err)
+    {
+      this._emit('moduleFailed', id, err);
+      throw err;
+    }
+
+    const mod = this.mods.get(id);
+    this._emit('moduleLoaded', id, mod);
+    return mod;
+  }
+
+  // part of load(); load the actual module file.
+  _fetch(entry)
+  {
+    if (typeof this.opts.loader === F)
+    {
+      return this.opts.loader(entry.url, entry);
+    }
+
+    const doc = globalThis.document;
+    if (!isObj(doc))
+    { // Nothing to resolve the URL against, or add scripts to.
+      throw new TypeError(`Cannot load '${entry.url}' without a DOM `
+        + "unless a 'loader' option is used");
+    }
+
+    const type = entry.type 
+      ?? (entry.url.endsWith('.mjs') ? 'import' : 'script');
+
+    if (type === 'import')
+    { // Resolved against the document, not this file.
+      return import(new URL(entry.url, doc.baseURI).href);
+    }
+
+    return new Promise((resolve, reject) =>
+    {
+      const script = doc.createElement('script');
+      if (type === 'module') script.type = 'module';
+      script.src = entry.url;
+      script.async = false;
+      script.onload = () => resolve();
+      script.onerror = () => 
+        reject(new Error(`Failed to load '${entry.url}'`));
+      doc.head.appendChild(script);
+    });
+  }
+
+  // Trigger an event on this and the app (if there is one).
+  _emit(...args)
+  {
+    this.trigger(...args);
+    if (this.app instanceof App)
+    {
+      this.app.triggerAll(...args);
+    }
+  }
+
 }
 
 /**
@@ -120,15 +716,85 @@ class ModuleRegistry
  * or any kind of object specific to your requirements.
  * 
  * @prop {module:@lumjs/web-app/modules.Registry} reg - The registry instance.
+ * @prop {?object} lazy - Lazy-loading conditions passed to `for()`.
+ * @prop {?string} ver - The version set with `version()`.
+ * @prop {object} reqs - The version ranges set with `requires()`.
+ * @prop {string[]} targets - The property paths modified by `set()`.
  * 
  * @alias module:@lumjs/web-app/modules~Registration
  */
 class ModuleRegistration
 {
-  constructor(mod, reg)
+  constructor(mod, reg, lazy=null)
   {
-    this.mod = mod;
-    this.reg = reg;
+    this.mod  = mod;
+    this.reg  = reg;
+    this.lazy = isObj(lazy) ? lazy : null;
+    this.catalogs = null;
+    this.ver  = undefined;
+    this.reqs = {};
+    this.targets = [];
+  }
+
+  /**
+   * The metadata for the current module.
+   * 
+   * If no version was set with `version()`, a `version` property
+   * from the module (or its class) will be used if it is a string.
+   * 
+   * @type {object}
+   */
+  get info()
+  {
+    return {
+      version: this.ver ?? versionOf(this.mod),
+      requires: Object.assign({}, this.reqs),
+      targets: this.targets.slice(),
+      lazy: this.lazy !== null,
+    };
+  }
+
+  /**
+   * Set the version of the current module.
+   * 
+   * @param {string} version - A semantic version, e.g. `'2.1.0'`.
+   * @return {module:@lumjs/web-app/modules~Registration} `this`
+   * @throws {TypeError} If the version is invalid.
+   */
+  version(version)
+  {
+    if (!semver.valid(version))
+    {
+      throw new TypeError(`Invalid module version '${version}'`);
+    }
+    this.ver = version;
+    return this;
+  }
+
+  /**
+   * Set the versions of other modules the current module requires.
+   * 
+   * When `use()` is called, and when any of the other modules are
+   * registered later, the versions are checked, and any conflicts
+   * are reported (see {@link module:@lumjs/web-app/modules.Registry}).
+   * 
+   * @param {object} ranges - Each key is a module id, and each value is
+   * a version range, e.g. `{charts: '^3'}`; see 
+   * {@link module:@lumjs/web-app/semver} for the supported syntax.
+   * @return {module:@lumjs/web-app/modules~Registration} `this`
+   * @throws {TypeError} If any of the ranges are invalid.
+   */
+  requires(ranges)
+  {
+    for (const id in ranges)
+    {
+      if (!semver.validRange(ranges[id]))
+      {
+        throw new TypeError(`Invalid version range '${ranges[id]}' for '${id}'`);
+      }
+      this.reqs[id] = ranges[id];
+    }
+    return this;
   }
 
   /**
@@ -139,13 +805,26 @@ class ModuleRegistration
    * Will be undefined if no paths resolved to an object (or function).
    */
   get defaultTarget()
+  {
+    const path = this.defaultPath;
+    if (path !== undefined)
+    {
+      return getObjectPath(this, path);
+    }
+  }
+
+  /**
+   * The property path of the `defaultTarget` (if there is one).
+   * @type {(string|undefined)}
+   */
+  get defaultPath()
   {
     for (const path of this.reg.paths)
     {
       const res = getObjectPath(this, path);
       if (isComplex(res))
       {
-        return res;
+        return path;
       }
     }
   }
@@ -194,11 +873,12 @@ class ModuleRegistration
    */
   set(arg1, arg2)
   {
-    let props = null, target;
+    let props = null, target, path;
 
     if (typeof arg1 === S)
     { // A path to the desired target
       let ao = {};
+      path = arg1;
 
       if (isObj(arg2))
       { // Props to add to target
@@ -214,6 +894,7 @@ class ModuleRegistration
     }
     else if (isObj(arg1))
     { // Props to add to the default target object
+      path = this.defaultPath;
       target = this.defaultTarget;
       props = arg1;
     }
@@ -227,6 +908,11 @@ class ModuleRegistration
       Object.assign(target, props);
     }
 
+    if (target && !this.targets.includes(path))
+    { // Keep track of what was modified.
+      this.targets.push(path);
+    }
+
     return this;
   }
 
@@ -246,8 +932,17 @@ class ModuleRegistration
    * If you leave this unspecified, then we will try to determine an id
    * automatically using a few simple techniques.
    * 
+   * If the module (or its class) has a `feature` property, and that 
+   * feature flag is disabled in the app, the module will not be used 
+   * until the flag has been enabled. Extensions are passed to `app.add()`
+   * regardless, as it handles feature flags itself (including removing
+   * the extension if the flag is disabled later).
+   * 
    * @returns {module:@lumjs/web-app/modules.Registry} `this.reg`
-   * @throws {RangeError} If the id is already in use.
+   * @throws {RangeError} If the id is already in use (unless the
+   * registry was created with `opts.hmr` enabled; see `replace()`);
+   * or if there are any version conflicts and the registry was created
+   * with `opts.strict` enabled.
    */
   use(id)
   {
@@ -256,6 +951,11 @@ class ModuleRegistration
     const app = reg.app instanceof App ? reg.app : null;
     const isFun = typeof mod === F;
 
+    if (typeof id !== S && this.lazy && typeof this.lazy.id === S)
+    { // Use the lazy-loaded extension id.
+      id = this.lazy.id;
+    }
+
     if (typeof id !== S)
     {
       if (mod instanceof Ext)
@@ -276,12 +976,46 @@ class ModuleRegistration
       }
     }
 
+    this._checkStrict(id);
+
     if (reg.mods.has(id))
     {
+      if (reg.opts.hmr)
+      { // Hot module replacement.
+        return reg._replace(id, this);
+      }
       throw new RangeError(`Module '${id}' already registered`);
     }
 
-    if (typeof mod.use === F)
+    const feature = featureOf(mod);
+    if (app && feature !== undefined && !app.features.isEnabled(feature)
+      && !(Ext.isPrototypeOf(mod) || mod instanceof Ext))
+    { // Wait until the feature has been enabled.
+      app.features.whenEnabled(feature, () => this.use(id));
+      return reg;
+    }
+
+    if (this.lazy)
+    { // A loader for a lazy-loaded extension.
+      if (app)
+      {
+        const lazy = Object.assign({id}, this.lazy);
+        const onLoad = lazy.onLoad;
+        lazy.onLoad = function(ext)
+        {
+          const cls = ext.constructor;
+          reg.mods.set(id, cls);
+          reg.modIds.delete(mod);
+          reg.modIds.set(cls, id);
+          if (typeof onLoad === F)
+          {
+            onLoad.call(this, ext);
+          }
+        }
+        app.add(mod, lazy);
+      }
+    }
+    else if (typeof mod.use === F)
     { // A custom use method()
       mod.use(this);
     }
@@ -313,10 +1047,78 @@ class ModuleRegistration
 
     reg.mods.set(id, mod);
     reg.modIds.set(mod, id);
+    reg._record(id, this);
+    this._addCatalogs(id);
 
     return reg;
   }
 
+  // part of use() and registry.replace(); throw on version conflicts
+  // if the registry has `opts.strict` enabled.
+  _checkStrict(id)
+  {
+    const reg = this.reg;
+    if (reg.opts.strict)
+    {
+      const info = this.info;
+      const conflicts = reg._conflicts(id, info.version, info.requires);
+      if (conflicts.length)
+      {
+        throw new RangeError(conflicts.map(c => c.message).join('; '));
+      }
+    }
+  }
+
+  // part of use() and registry.replace(); add the message catalogs.
+  _addCatalogs(id)
+  {
+    const app = this.reg.app;
+    if (app instanceof App && this.catalogs)
+    {
+      for (const locale in this.catalogs)
+      {
+        app.i18n.add(locale, this.catalogs[locale], id);
+      }
+    }
+  }
+
+  /**
+   * Add message catalogs for the current module.
+   * 
+   * When `use()` is called, they will be added to `app.i18n` with the
+   * module id as the namespace (if the registry has an app).
+   * 
+   * @param {object} catalogs - Each key is a locale, and each value is
+   * the messages for that locale.
+   * @return {module:@lumjs/web-app/modules~Registration} `this`
+   * @see module:@lumjs/web-app/i18n#add
+   */
+  messages(catalogs)
+  {
+    this.catalogs = Object.assign(this.catalogs ?? {}, catalogs);
+    return this;
+  }
+
+  /**
+   * Use the current module as fixture routes for a mock webservice.
+   * 
+   * Calls `app.mockWs(wsId, this.mod, opts)` if the registry has an app.
+   * 
+   * @param {string} wsId - The webservice id to mock.
+   * @param {object} [opts] Options for the mock service.
+   * @return {module:@lumjs/web-app/modules~Registration} `this`
+   * @see module:@lumjs/web-app/app#mockWs
+   */
+  mock(wsId, opts)
+  {
+    const app = this.reg.app;
+    if (app instanceof App)
+    {
+      app.mockWs(wsId, this.mod, opts);
+    }
+    return this;
+  }
+
   for(mod)
   {
     return this.use().for(mod);
@@ -0,0 +1,245 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {def,F,S,N,isObj} = core.types;
+
+// The Performance API (if available).
+const perf = () => (typeof globalThis.performance?.now === F)
+  ? globalThis.performance
+  : null;
+
+/**
+ * Performance instrumentation for extension handlers.
+ *
+ * This is created by the App constructor as `app.perf`, and is enabled by
+ * `options.perf`, which may be `true`, or an object with the following
+ * (optional) properties:
+ *
+ * - `threshold` (number, default `50`): Handlers taking longer than this
+ *   many milliseconds trigger a `slowHandler` event on the app.
+ * - `marks` (boolean, default `true`): Add `performance.mark()` and
+ *   `performance.measure()` entries, so the handlers show up in the
+ *   performance tools of the browser. Only the latest measure for each
+ *   handler is kept (and the marks are removed once measured).
+ * - `prefix` (string, default `'lum-app:'`): Prefix for the entry names;
+ *   the full names are `<prefix><extension id>:<event>`.
+ *
+ * While enabled, every extension handler that `triggerExt()`,
+ * `triggerAll()`, `triggerAllAsync()`, `extCall()`, and `extCallAsync()`
+ * invoke is timed. In async mode (see `options.asyncLifecycle`), and for
+ * `extCallAsync()`, the time until the promises of each extension have
+ * settled is also recorded, using the event name with an `:async` suffix.
+ *
+ * The `slowHandler` event is passed an object with `ext`, `id`, `event`,
+ * `duration`, and `threshold` properties.
+ *
+ * @exports module:@lumjs/web-app/perf
+ */
+class PerfMonitor
+{
+  /**
+   * Build a performance monitor.
+   * @param {module:@lumjs/web-app/app} app - The parent App instance.
+   * @param {(boolean|object)} [opts] The `options.perf` value.
+   */
+  constructor(app, opts)
+  {
+    const conf = isObj(opts) ? opts : {};
+    def(this, 'app', app);
+    def(this, 'enabled', Boolean(opts));
+    def(this, 'threshold', (typeof conf.threshold === N) ? conf.threshold : 50);
+    def(this, 'marks', (conf.marks ?? true) && perf() !== null);
+    def(this, 'prefix', (typeof conf.prefix === S) ? conf.prefix : 'lum-app:');
+    def(this, 'stats', {value: new Map()});
+  }
+
+  /**
+   * The current time in milliseconds (`performance.now()` if available).
+   * @returns {number}
+   */
+  now()
+  {
+    return perf()?.now() ?? Date.now();
+  }
+
+  /**
+   * Time a handler call.
+   *
+   * @param {module:@lumjs/web-app/extension} ext - The extension.
+   * @param {(string|function)} ename - The event (or `extCall()` function).
+   * @param {function} fn - The handler call.
+   * @returns {*} The return value from `fn`.
+   */
+  time(ext, ename, fn)
+  {
+    if (!this.enabled) return fn();
+
+    const start = this.now();
+    let retVal;
+    try
+    {
+      retVal = fn();
+    }
+    catch (err)
+    { // Don't let a slowHandler listener hide the error.
+      this._measure(ext, ename, start, this.now());
+      throw err;
+    }
+
+    this.record(ext, ename, start);
+    return retVal;
+  }
+
+  /**
+   * Time how long it takes promises from a handler to settle.
+   *
+   * @param {module:@lumjs/web-app/extension} ext - The extension.
+   * @param {(string|function)} ename - The event.
+   * @param {number} start - When the handler was called (see `now()`).
+   * @param {Promise[]} promises - The promises to wait for.
+   * @returns {object} `this`
+   */
+  wait(ext, ename, start, promises)
+  {
+    if (this.enabled && promises.length)
+    {
+      const name = eventName(ename) + ':async';
+      Promise.allSettled(promises).then(() => this.record(ext, name, start));
+    }
+    return this;
+  }
+
+  /**
+   * Record a measurement.
+   *
+   * Triggers a `slowHandler` event if it took longer than the threshold.
+   *
+   * @param {module:@lumjs/web-app/extension} ext - The extension.
+   * @param {(string|function)} ename - The event.
+   * @param {number} start - The start time (see `now()`).
+   * @param {number} [end=this.now()] The end time.
+   * @returns {number} The duration.
+   */
+  record(ext, ename, start, end=this.now())
+  {
+    const duration = this._measure(ext, ename, start, end);
+
+    if (duration > this.threshold)
+    {
+      this.app.trigger('slowHandler',
+      {
+        ext, id: ext.id, event: eventName(ename), duration,
+        threshold: this.threshold,
+      });
+    }
+
+    return duration;
+  }
+
+  // part of record(); update the stats and performance entries.
+  _measure(ext, ename, start, end)
+  {
+    const id = ext.id;
+    const event = eventName(ename);
+    const duration = end - start;
+
+    const stats = this.stats;
+    if (!stats.has(id)) stats.set(id, new Map());
+    const events = stats.get(id);
+    if (!events.has(event))
+    {
+      events.set(event, {count: 0, total: 0, max: 0});
+    }
+
+    const stat = events.get(event);
+    stat.count++;
+    stat.total += duration;
+    stat.max = Math.max(stat.max, duration);
+
+    if (this.marks)
+    { // Only the latest entries are kept, so they don't pile up.
+      const name = this.prefix + id + ':' + event;
+      perf().clearMeasures(name);
+      perf().mark(name, {startTime: start});
+      perf().measure(name, {start, end});
+      perf().clearMarks(name);
+    }
+
+    return duration;
+  }
+
+  /**
+   * Build a report of the measurements.
+   *
+   * @param {string} [event] Only include this event.
+   * @returns {object} See {@link module:@lumjs/web-app/app#perfReport}
+   */
+  report(event)
+  {
+    const handlers = [];
+    const totals = new Map();
+
+    for (const [id, events] of this.stats)
+    {
+      for (const [ename, stat] of events)
+      {
+        if (event !== undefined && ename !== event) continue;
+        handlers.push(
+        {
+          id,
+          event: ename,
+          count: stat.count,
+          total: stat.total,
+          avg: stat.total / stat.count,
+          max: stat.max,
+        });
+
+        if (!ename.endsWith(':async'))
+        { // Don't count the async time twice.
+          const sum = totals.get(id) ?? {id, count: 0, total: 0};
+          sum.count += stat.count;
+          sum.total += stat.total;
+          totals.set(id, sum);
+        }
+      }
+    }
+
+    const byTotal = (a, b) => b.total - a.total;
+    return {
+      handlers: handlers.sort(byTotal),
+      extensions: Array.from(totals.values()).sort(byTotal),
+    };
+  }
+
+  /**
+   * Clear all measurements (including the performance entries).
+   * @returns {object} `this`
+   */
+  clear()
+  {
+    if (this.marks)
+    {
+      for (const [id, events] of this.stats)
+      {
+        for (const event of events.keys())
+        {
+          const name = this.prefix + id + ':' + event;
+          perf().clearMarks(name);
+          perf().clearMeasures(name);
+        }
+      }
+    }
+    this.stats.clear();
+    return this;
+  }
+
+}
+
+// A name for an event (or extCall function).
+function eventName(ename)
+{
+  if (typeof ename === F) return ename.name || 'anonymous';
+  return String(ename);
+}
+
+module.exports = PerfMonitor;
@@ -0,0 +1,445 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,S,isObj} = core.types;
+const Extension = require('./extension');
+const {isThenable,compileRoute,parseQuery} = require('./util');
+
+/**
+ * A client-side router extension.
+ * 
+ * Maps URL patterns to handler functions or extensions, and triggers
+ * events via `app.triggerAll()` when the route changes:
+ * 
+ * - `routeLeave`  : Leaving the current route; passed the old context.
+ * - `routeChange` : Passed an object with `from` and `to` contexts.
+ * - `route`       : The new route has been handled; passed the context.
+ * 
+ * A route context is an object with the following properties:
+ * 
+ * - `path`    : The path (without the query string).
+ * - `url`     : The full URL that was routed (path and query string).
+ * - `params`  : Params from the pattern (e.g. `/users/:id`).
+ * - `query`   : The parsed query string.
+ * - `pattern` : The pattern that matched (`null` if none did).
+ * - `target`  : The route target (`null` if none matched).
+ * - `router`  : This Router instance.
+ * 
+ * Options are read from `app.options.router`:
+ * 
+ * @prop {string} [mode='history'] Either `'history'` or `'hash'`.
+ * @prop {string} [base=''] Base path for `'history'` mode.
+ * @prop {string} [linkAttr='data-route'] Attribute for link interception.
+ * @prop {object} [routes] Initial routes; `{pattern: target}`
+ * 
+ * When the app starts, the router will begin listening for URL changes,
+ * and will route the current URL. When the app is restarted, the current
+ * URL will be routed again. When the app is stopped, it stops listening.
+ * 
+ * Clicks on elements with the `linkAttr` attribute will be intercepted.
+ * If the attribute has a value, it will be used as the URL; otherwise
+ * the `href` attribute will be used (with the `base` removed in
+ * `'history'` mode).
+ * 
+ * @exports module:@lumjs/web-app/router
+ * @extends module:@lumjs/web-app/extension
+ */
+class Router extends Extension
+{
+  // The init hook is called before the app has been set.
+  init(app)
+  {
+    const opts = (isObj(app?.options) && isObj(app.options.router))
+      ? app.options.router
+      : {};
+
+    this.mode     = opts.mode     ?? 'history';
+    this.base     = opts.base     ?? '';
+    this.linkAttr = opts.linkAttr ?? 'data-route';
+    this.routes   = [];
+    this.guards   = [];
+    this.current  = null;
+    this.listening = false;
+
+    this._onChange = () => this.navigate(this.location, {fromEvent: true})
+      .catch(err => console.error("Routing failed", {err, router: this}));
+    this._onClick  = (ev) => this._clicked(ev);
+
+    if (isObj(opts.routes))
+    {
+      for (const pattern in opts.routes)
+      {
+        this.route(pattern, opts.routes[pattern]);
+      }
+    }
+  }
+
+  /**
+   * Add a route.
+   * 
+   * @param {(string|RegExp)} pattern - URL pattern.
+   * 
+   * If this is a `string`, segments starting with `:` are params
+   * (add a `?` to the end to make them optional), and a `*` segment
+   * matches anything (available as the `wildcard` param).
+   * 
+   * If this is a `RegExp`, any named capture groups will be params.
+   * 
+   * @param {(function|string)} target - What handles the route.
+   * 
+   * If this is a `function`, it will be called with the route context.
+   * 
+   * If this is a `string`, it is an extension id, optionally followed by
+   * `#` and a method name (default `route`). The extension will be loaded
+   * with `app.loadExt()` (so lazy-loaded extensions work), and then the
+   * method will be called with the route context.
+   * 
+   * @param {object} [opts] Options
+   * @param {function} [opts.guard] A guard for this route only;
+   * see `guard()` for details.
+   * 
+   * @returns {object} `this`
+   */
+  route(pattern, target, opts={})
+  {
+    if (typeof target !== F && typeof target !== S)
+    {
+      throw new TypeError("Route target must be a function or string");
+    }
+
+    this.routes.push(Object.assign(compileRoute(pattern), 
+      {pattern, target, guard: opts.guard}));
+    return this;
+  }
+
+  /**
+   * Add a navigation guard.
+   * 
+   * @param {function} fn - Called as `fn(to, from)` with route contexts.
+   * If it returns `false` (or a promise that resolves to `false`), 
+   * the navigation will be cancelled.
+   * 
+   * @returns {object} `this`
+   */
+  guard(fn)
+  {
+    if (typeof fn === F)
+    {
+      this.guards.push(fn);
+    }
+    return this;
+  }
+
+  /**
+   * Find the route matching a URL.
+   * @param {string} url - URL (path and optional query string).
+   * @returns {object} A route context.
+   */
+  match(url)
+  {
+    const qpos = url.indexOf('?');
+    const path = (qpos === -1) ? url : url.slice(0, qpos);
+    const query = parseQuery((qpos === -1) ? '' : url.slice(qpos));
+    const ctx = 
+    {
+      path, url, query, params: {}, 
+      pattern: null, target: null, router: this,
+    };
+
+    for (const route of this.routes)
+    {
+      const matched = route.regex.exec(path);
+      if (matched)
+      {
+        if (route.keys)
+        {
+          route.keys.forEach((key, i) => 
+          {
+            if (matched[i+1] !== undefined && matched[i+1] !== '')
+            {
+              ctx.params[key] = decodeURIComponent(matched[i+1]);
+            }
+          });
+        }
+        else if (matched.groups)
+        {
+          Object.assign(ctx.params, matched.groups);
+        }
+        ctx.pattern = route.pattern;
+        ctx.target  = route.target;
+        Object.defineProperty(ctx, 'route', {value: route});
+        break;
+      }
+    }
+
+    return ctx;
+  }
+
+  /**
+   * The current URL (path and query string) from the browser location.
+   * 
+   * In `'history'` mode the `base` is removed from the path.
+   * @type {string}
+   */
+  get location()
+  {
+    const loc = globalThis.location;
+    if (!loc) return '/';
+
+    if (this.mode === 'hash')
+    {
+      return loc.hash.replace(/^#/, '') || '/';
+    }
+
+    return this._stripBase(loc.pathname) + loc.search;
+  }
+
+  // Remove the base from a path (in 'history' mode).
+  _stripBase(path)
+  {
+    if (this.mode !== 'hash' && this.base && path.startsWith(this.base))
+    {
+      path = path.slice(this.base.length) || '/';
+    }
+    return path;
+  }
+
+  /**
+   * Get the full browser URL for a route URL.
+   * @param {string} url 
+   * @returns {string}
+   */
+  href(url)
+  {
+    return (this.mode === 'hash') ? '#'+url : this.base+url;
+  }
+
+  /**
+   * Navigate to a URL.
+   * 
+   * @param {string} url - URL (path and optional query string).
+   * @param {object} [opts] Options
+   * @param {boolean} [opts.replace=false] Replace the history entry?
+   * @param {boolean} [opts.force=false] Route even if the URL is the 
+   * same as the current route?
+   * 
+   * @returns {Promise<boolean>} Resolves to `false` if the navigation
+   * was cancelled by a guard, or `true` otherwise.
+   */
+  async navigate(url, opts={})
+  {
+    const from = this.current;
+    if (from && from.url === url && !opts.force)
+    {
+      return true;
+    }
+
+    const to = this.match(url);
+
+    const guards = this.guards.slice();
+    if (to.route && typeof to.route.guard === F)
+    {
+      guards.push(to.route.guard);
+    }
+
+    for (const guard of guards)
+    {
+      let ok = guard.call(this, to, from);
+      if (isThenable(ok)) ok = await ok;
+      if (ok === false)
+      {
+        if (opts.fromEvent && from)
+        { // Put the browser URL back.
+          this._updateHistory(from.url, true);
+        }
+        return false;
+      }
+    }
+
+    const app = this.app;
+
+    if (from)
+    {
+      app.triggerAll('routeLeave', from);
+    }
+
+    if (!opts.fromEvent)
+    {
+      this._updateHistory(url, opts.replace);
+    }
+
+    this.current = to;
+    app.triggerAll('routeChange', {from, to});
+
+    if (typeof to.target === F)
+    {
+      await to.target.call(this, to);
+    }
+    else if (typeof to.target === S)
+    {
+      const [id, meth='route'] = to.target.split('#');
+      const ext = await app.loadExt(id);
+      if (typeof ext[meth] === F)
+      {
+        await ext[meth](to);
+      }
+    }
+
+    app.triggerAll('route', to);
+    return true;
+  }
+
+  // part of navigate()
+  _updateHistory(url, replace=false)
+  {
+    const win = globalThis.window;
+    if (!win) return;
+
+    if (this.mode === 'hash')
+    {
+      const hash = '#'+url;
+      if (win.location.hash !== hash)
+      {
+        if (replace)
+        {
+          win.location.replace(hash);
+        }
+        else
+        {
+          win.location.hash = hash;
+        }
+      }
+    }
+    else if (win.history)
+    {
+      const meth = replace ? 'replaceState' : 'pushState';
+      win.history[meth](null, '', this.href(url));
+    }
+  }
+
+  // Link click handler.
+  _clicked(ev)
+  {
+    if (ev.defaultPrevented || ev.button !== 0 
+      || ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey)
+    { // Leave it alone.
+      return;
+    }
+
+    const attr = this.linkAttr;
+    const el = ev.target?.closest?.(`[${attr}]`);
+    if (!el || (el.getAttribute('target') ?? '_self') !== '_self')
+    {
+      return;
+    }
+
+    // A link's href includes the base, the routing attribute doesn't.
+    let url = el.getAttribute(attr);
+    if (!url)
+    {
+      const href = el.getAttribute('href');
+      url = (typeof href === S) ? this._stripBase(href) : href;
+    }
+
+    if (typeof url === S && url !== '')
+    {
+      ev.preventDefault();
+      this.navigate(url).catch(err => 
+        console.error("Navigation failed", {err, url, router: this}));
+    }
+  }
+
+  /**
+   * Start listening for URL changes and link clicks.
+   * @returns {object} `this`
+   */
+  listen()
+  {
+    const win = globalThis.window;
+    if (win && !this.listening)
+    {
+      const ename = (this.mode === 'hash') ? 'hashchange' : 'popstate';
+      win.addEventListener(ename, this._onChange);
+      win.document?.addEventListener('click', this._onClick);
+      this.listening = true;
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening for URL changes and link clicks.
+   * @returns {object} `this`
+   */
+  unlisten()
+  {
+    const win = globalThis.window;
+    if (win && this.listening)
+    {
+      const ename = (this.mode === 'hash') ? 'hashchange' : 'popstate';
+      win.removeEventListener(ename, this._onChange);
+      win.document?.removeEventListener('click', this._onClick);
+      this.listening = false;
+    }
+    return this;
+  }
+
+  // Route the current location; part of start() and restart().
+  // In async mode the promise is returned so the app waits for it
+  // (and reports any failure), otherwise failures are logged here.
+  _routeCurrent()
+  {
+    const routing = this.navigate(this.location, {fromEvent: true, force: true});
+    if (this.app.options.asyncLifecycle)
+    {
+      return routing;
+    }
+    routing.catch(err => console.error("Routing failed", {err, router: this}));
+  }
+
+  start()
+  {
+    this.listen();
+    return this._routeCurrent();
+  }
+
+  restart()
+  {
+    this.listen();
+    return this._routeCurrent();
+  }
+
+  stop()
+  {
+    this.unlisten();
+  }
+
+  destroy()
+  {
+    this.unlisten();
+    this.current = null;
+  }
+
+  /**
+   * Compile a route pattern.
+   * @param {(string|RegExp)} pattern 
+   * @returns {object} `{regex, keys}`; `keys` will be `null` if the
+   * `pattern` was a RegExp (named capture groups are used instead).
+   */
+  static compile(pattern)
+  {
+    return compileRoute(pattern);
+  }
+
+  /**
+   * Parse a query string into a plain object.
+   * @param {string} search 
+   * @returns {object}
+   */
+  static parseQuery(search)
+  {
+    return parseQuery(search);
+  }
+
+}
+
+module.exports = Router;
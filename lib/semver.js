@@ -0,0 +1,264 @@
+"use strict";
+
+/**
+ * A minimal semantic versioning library.
+ *
+ * Supports the range syntax most commonly found in `package.json` files:
+ * exact versions (`1.2.3` or `=1.2.3`), comparisons (`>`, `>=`, `<`, `<=`),
+ * caret (`^1.2`) and tilde (`~1.2.3`) ranges, wildcards (`*`, `1.x`, `1`),
+ * hyphen ranges (`1.2 - 2`), sets of comparators that must all match
+ * (`>=1.2 <2`), and alternatives (`^1 || ^2`).
+ *
+ * Pre-release versions are compared according to the semver spec,
+ * but unlike npm, they are not excluded from ranges that don't
+ * mention a pre-release themselves.
+ *
+ * @module module:@lumjs/web-app/semver
+ */
+
+const VERSION = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/;
+
+// The lowest possible pre-release (used for exclusive upper bounds).
+const LOWEST = ['0'];
+
+/**
+ * Parse a version string.
+ *
+ * @param {string} version - A full version, e.g. `'2.1.0'` or `'1.0.0-rc.1'`;
+ * a leading `v` and any build metadata (`+...`) are ignored.
+ * @returns {?object} An object with `major`, `minor`, and `patch` numbers,
+ * and a `pre` array of pre-release identifiers; or `null` if invalid.
+ * @alias module:@lumjs/web-app/semver.parse
+ */
+function parse(version)
+{
+  const m = VERSION.exec(String(version).trim());
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    pre: m[4] ? m[4].split('.') : [],
+  };
+}
+
+/**
+ * Is a version string valid?
+ * @param {string} version
+ * @returns {boolean}
+ * @alias module:@lumjs/web-app/semver.valid
+ */
+function valid(version)
+{
+  return parse(version) !== null;
+}
+
+// Compare pre-release identifier lists.
+function comparePre(a, b)
+{
+  if (!a.length || !b.length)
+  { // A release is higher than any pre-release.
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++)
+  {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const an = /^\d+$/.test(a[i]), bn = /^\d+$/.test(b[i]);
+    if (an && bn) return Math.sign(Number(a[i]) - Number(b[i]));
+    if (an) return -1;
+    if (bn) return 1;
+    return (a[i] < b[i]) ? -1 : 1;
+  }
+
+  return 0;
+}
+
+// Compare parsed versions.
+function cmp(a, b)
+{
+  return Math.sign(a.major - b.major)
+    || Math.sign(a.minor - b.minor)
+    || Math.sign(a.patch - b.patch)
+    || comparePre(a.pre, b.pre);
+}
+
+/**
+ * Compare two versions.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} `-1` if `a` is lower, `1` if it is higher,
+ * or `0` if they are equal.
+ * @throws {TypeError} If either version is invalid.
+ * @alias module:@lumjs/web-app/semver.compare
+ */
+function compare(a, b)
+{
+  const va = parse(a), vb = parse(b);
+  if (!va || !vb)
+  {
+    throw new TypeError(`Invalid version '${va ? b : a}'`);
+  }
+  return cmp(va, vb);
+}
+
+// A version object.
+const ver = (major, minor, patch, pre=[]) => ({major, minor, patch, pre});
+
+// Parse a partial version; wildcards are null.
+function partial(str)
+{
+  const m = PARTIAL.exec(str);
+  if (!m) return null;
+  const num = (s) => (s === undefined || /^[xX*]$/.test(s)) ? null : Number(s);
+  const major = num(m[1]);
+  const minor = (major === null) ? null : num(m[2]);
+  const patch = (minor === null) ? null : num(m[3]);
+  const pre = (patch !== null && m[4]) ? m[4].split('.') : [];
+  return {major, minor, patch, pre};
+}
+
+// The lowest version matching a partial version.
+const low = (p) => ver(p.major ?? 0, p.minor ?? 0, p.patch ?? 0, p.pre);
+
+// The lowest version higher than everything matching a partial version.
+function above(p)
+{
+  if (p.minor === null) return ver(p.major + 1, 0, 0, LOWEST);
+  if (p.patch === null) return ver(p.major, p.minor + 1, 0, LOWEST);
+  return null;
+}
+
+// Expand a single comparator into a list of [op, version] tests.
+function expand(comp)
+{
+  const [, op='', rest] = COMPARATOR.exec(comp);
+  const p = partial(rest);
+  if (!p) return null;
+
+  if (p.major === null)
+  { // A wildcard.
+    return (op === '<' || op === '>') ? [['<', ver(0, 0, 0, LOWEST)]] : [];
+  }
+
+  const lo = low(p);
+
+  switch (op)
+  {
+    case '^':
+    {
+      let hi;
+      if (p.major > 0 || p.minor === null)
+        hi = ver(p.major + 1, 0, 0, LOWEST);
+      else if (p.minor > 0 || p.patch === null)
+        hi = ver(0, p.minor + 1, 0, LOWEST);
+      else
+        hi = ver(0, 0, p.patch + 1, LOWEST);
+      return [['>=', lo], ['<', hi]];
+    }
+    case '~':
+    {
+      const hi = (p.minor === null)
+        ? ver(p.major + 1, 0, 0, LOWEST)
+        : ver(p.major, p.minor + 1, 0, LOWEST);
+      return [['>=', lo], ['<', hi]];
+    }
+    case '>':
+    {
+      const hi = above(p);
+      return hi ? [['>=', hi]] : [['>', lo]];
+    }
+    case '<=':
+    {
+      const hi = above(p);
+      return hi ? [['<', hi]] : [['<=', lo]];
+    }
+    case '>=':
+    case '<':
+      return [[op, lo]];
+    default:
+    { // An exact (or partial) version.
+      const hi = above(p);
+      return hi ? [['>=', lo], ['<', hi]] : [['=', lo]];
+    }
+  }
+}
+
+// Test a version against an [op, version] test.
+function test(v, [op, bound])
+{
+  const c = cmp(v, bound);
+  switch (op)
+  {
+    case '<':  return c < 0;
+    case '<=': return c <= 0;
+    case '>':  return c > 0;
+    case '>=': return c >= 0;
+    default:   return c === 0;
+  }
+}
+
+// Parse a set of comparators (one side of an `||`).
+function parseSet(str)
+{
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(str);
+  if (hyphen)
+  { // A hyphen range.
+    const a = expand('>='+hyphen[1]), b = expand('<='+hyphen[2]);
+    return (a && b) ? a.concat(b) : null;
+  }
+
+  const tests = [];
+  // Allow a space between an operator and its version.
+  const comps = str.replace(/(\^|~|[<>]=?|=)\s+/g, '$1').split(/\s+/);
+  for (const comp of comps)
+  {
+    if (comp === '') continue;
+    const expanded = expand(comp);
+    if (!expanded) return null;
+    tests.push(...expanded);
+  }
+  return tests;
+}
+
+/**
+ * Is a range valid?
+ * @param {string} range
+ * @returns {boolean}
+ * @alias module:@lumjs/web-app/semver.validRange
+ */
+function validRange(range)
+{
+  return String(range).split('||').every(set => parseSet(set.trim()) !== null);
+}
+
+/**
+ * Does a version satisfy a range?
+ *
+ * @param {string} version - The version.
+ * @param {string} range - The range (see the module description).
+ * @returns {boolean} Will be `false` if the version or range is invalid.
+ * @alias module:@lumjs/web-app/semver.satisfies
+ */
+function satisfies(version, range)
+{
+  const v = parse(version);
+  if (!v) return false;
+
+  return String(range).split('||').some(str =>
+  {
+    const tests = parseSet(str.trim());
+    return tests !== null && tests.every(t => test(v, t));
+  });
+}
+
+module.exports =
+{
+  parse, valid, compare, validRange, satisfies,
+}
@@ -0,0 +1,611 @@
+"use strict";
+
+const CTX = require('./ctx');
+const core = require('@lumjs/core');
+const {def,F,S,N,isObj} = core.types;
+const {isThenable} = require('./util');
+const storage = require('./storage');
+
+/**
+ * Is one property path the same as, a parent of, or a child of another?
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ * @alias module:@lumjs/web-app/state.related
+ */
+function related(a, b)
+{
+  return (a === b || a.startsWith(b+'.') || b.startsWith(a+'.'));
+}
+
+// Get a nested value from a plain object.
+function getIn(obj, keys)
+{
+  for (const key of keys)
+  {
+    if (!isObj(obj)) return undefined;
+    obj = obj[key];
+  }
+  return obj;
+}
+
+// Set a nested value in a plain object, creating objects as needed.
+function setIn(obj, keys, value)
+{
+  const last = keys.length - 1;
+  for (let i = 0; i < last; i++)
+  {
+    if (!isObj(obj[keys[i]]))
+    {
+      obj[keys[i]] = {};
+    }
+    obj = obj[keys[i]];
+  }
+  obj[keys[last]] = value;
+}
+
+/**
+ * An observable store for general app state.
+ * 
+ * The state values are stored privately, so they may only be accessed
+ * with `get()` and `set()` (and a value may have any name, including the
+ * names of the methods). For compatibility, `app.state.autoStart` is an
+ * alias for `app.state.get('autoStart')`.
+ * 
+ * Only changes made via the `set()` method (or computed values) will be
+ * reported to watchers and event handlers. Changes made directly to an
+ * object value (rather than with `set()`) are not.
+ * 
+ * Changes are batched, and reported once per _tick_ (using a microtask).
+ * When reported, a `stateChange` event will be triggered via
+ * `app.triggerAll()`, with an array of change objects as the argument.
+ * 
+ * Selected paths may be saved to a storage adapter, see `persist()`.
+ * 
+ * @exports module:@lumjs/web-app/state
+ */
+class AppState
+{
+  /**
+   * Build a new state store.
+   * 
+   * This is done by the App constructor, you probably don't need to
+   * create any instances of this class yourself.
+   * 
+   * @param {module:@lumjs/web-app/app} app - The parent App instance.
+   * @param {object} [values] Initial state values.
+   */
+  constructor(app, values)
+  {
+    def(this, CTX.STATE_APP,                  app);
+    def(this, CTX.STATE_VALUES, {value: new Map()});
+    def(this, CTX.STATE_QUEUE, {value: new Map()});
+    def(this, CTX.STATE_OLD,   {value: new Map()});
+    def(this, CTX.STATE_WATCH,                 []);
+    def(this, CTX.STATE_COMPUTED,              []);
+    def(this, CTX.STATE_BUSY,           new Set());
+    def(this, CTX.STATE_PERSIST,             null);
+    def(this, CTX.STATE_MIGRATE,               []);
+
+    if (isObj(values))
+    {
+      for (const key in values)
+      {
+        this[CTX.STATE_VALUES].set(key, values[key]);
+      }
+    }
+  }
+
+  /**
+   * Get a state value.
+   * @param {string} path - Property path, e.g. `'user.prefs.theme'`
+   * @returns {*} The value (will be `undefined` if not set).
+   */
+  get(path)
+  {
+    const [key, ...keys] = path.split('.');
+    return getIn(this[CTX.STATE_VALUES].get(key), keys);
+  }
+
+  /**
+   * Set a state value.
+   * 
+   * Any intermediary objects in the path will be created if needed.
+   * If the value is the same as the existing value, nothing is done.
+   * 
+   * @param {string} path - Property path, e.g. `'user.prefs.theme'`
+   * @param {*} value - The value to set.
+   * @returns {object} `this`
+   */
+  set(path, value)
+  {
+    const oldValue = this.get(path);
+    if (oldValue === value)
+    { // No change.
+      return this;
+    }
+
+    const olds = this[CTX.STATE_OLD];
+    for (const watcher of this[CTX.STATE_WATCH])
+    { // Save the old value for affected watchers once per batch.
+      if (!olds.has(watcher.path) && related(watcher.path, path))
+      {
+        olds.set(watcher.path, this.get(watcher.path));
+      }
+    }
+
+    const values = this[CTX.STATE_VALUES];
+    const [key, ...keys] = path.split('.');
+    if (keys.length)
+    {
+      if (!isObj(values.get(key)))
+      {
+        values.set(key, {});
+      }
+      setIn(values.get(key), keys, value);
+    }
+    else
+    {
+      values.set(key, value);
+    }
+    this._queue(path, oldValue, value);
+    this._recompute(path);
+
+    return this;
+  }
+
+  /**
+   * An alias for `get('autoStart')` (and `set('autoStart', value)`).
+   * @type {boolean}
+   */
+  get autoStart()
+  {
+    return this.get('autoStart');
+  }
+
+  set autoStart(value)
+  {
+    this.set('autoStart', value);
+  }
+
+  /**
+   * Get all of the state values as a plain object.
+   * 
+   * Used by `JSON.stringify()`. The values are not copied, 
+   * so nested objects are the same objects as in the state.
+   * 
+   * @returns {object}
+   */
+  toJSON()
+  {
+    return Object.fromEntries(this[CTX.STATE_VALUES]);
+  }
+
+  // part of set()
+  _queue(path, oldValue, value)
+  {
+    const queue = this[CTX.STATE_QUEUE];
+    const wasEmpty = (queue.size === 0);
+
+    if (queue.has(path))
+    {
+      const change = queue.get(path);
+      if (change.oldValue === value)
+      { // Changed back to the original value.
+        queue.delete(path);
+      }
+      else
+      {
+        change.value = value;
+      }
+    }
+    else
+    {
+      queue.set(path, {path, oldValue, value});
+    }
+
+    if (wasEmpty && queue.size > 0)
+    {
+      queueMicrotask(() => this.flush());
+    }
+  }
+
+  // part of set()
+  _recompute(path)
+  {
+    const busy = this[CTX.STATE_BUSY];
+    for (const comp of this[CTX.STATE_COMPUTED])
+    {
+      if (comp.path !== path && !busy.has(comp) 
+        && comp.deps.some(dep => related(dep, path)))
+      {
+        busy.add(comp);
+        try
+        {
+          this._compute(comp);
+        }
+        finally
+        {
+          busy.delete(comp);
+        }
+      }
+    }
+  }
+
+  // part of set() and compute()
+  _compute(comp)
+  {
+    const args = comp.deps.map(dep => this.get(dep));
+    this.set(comp.path, comp.fn.apply(this, args));
+  }
+
+  /**
+   * Watch for changes to a state path.
+   * 
+   * @param {string} path - Property path to watch.
+   * 
+   * Changes to the path itself, any of its parent paths, or any of its
+   * child paths will be reported.
+   * 
+   * @param {function} handler - Called once per batch of changes.
+   * 
+   * Will be passed a single object with the following properties:
+   * 
+   * - `path`     : The watched path.
+   * - `value`    : The current value of the watched path.
+   * - `oldValue` : The value of the watched path before this batch.
+   *                If the value is an object that was modified rather 
+   *                than replaced, this will be the same object as `value`.
+   * - `changes`  : An array of the changes affecting the watched path.
+   * 
+   * Each change object has `path`, `oldValue`, and `value` properties.
+   * 
+   * @returns {function} Call this to stop watching.
+   */
+  watch(path, handler)
+  {
+    if (typeof path !== S || typeof handler !== F)
+    {
+      throw new TypeError("watch() requires a path string and a handler");
+    }
+
+    const watchers = this[CTX.STATE_WATCH];
+    const watcher = {path, handler};
+    watchers.push(watcher);
+
+    return () =>
+    {
+      const pos = watchers.indexOf(watcher);
+      if (pos !== -1)
+      {
+        watchers.splice(pos, 1);
+      }
+    }
+  }
+
+  /**
+   * Define a computed (derived) state value.
+   * 
+   * The value is computed right away, and then again any time one of
+   * the dependency paths (or their parent or child paths) are changed
+   * using `set()`. Changes to computed values are reported the same as
+   * any other changes.
+   * 
+   * @param {string} path - Property path for the computed value.
+   * @param {(string|string[])} deps - Property paths it depends on.
+   * @param {function} fn - Compute the value.
+   * 
+   * Will be passed the values of each of the `deps` as arguments,
+   * and must return the computed value.
+   * 
+   * @returns {object} `this`
+   */
+  compute(path, deps, fn)
+  {
+    if (typeof fn !== F)
+    {
+      throw new TypeError("compute() requires a function");
+    }
+
+    const comp = {path, deps: [].concat(deps), fn};
+    this[CTX.STATE_COMPUTED].push(comp);
+    this._compute(comp);
+    return this;
+  }
+
+  /**
+   * Save selected state paths using a storage adapter.
+   * 
+   * May be called more than once (e.g. by different extensions) to add
+   * more paths. Options passed in later calls override earlier ones.
+   * 
+   * The persisted paths are restored by `app.start()` the first time it 
+   * is called, before the `start` event is triggered. If the storage 
+   * adapter is async, the `start` event will wait for the restore 
+   * to finish.
+   * 
+   * Changes to persisted paths are saved automatically after a delay.
+   * 
+   * @param {(string|string[])} paths - Property paths to persist.
+   * @param {object} [opts] Options
+   * @param {(string|object)} [opts.storage='local'] Storage adapter;
+   * see {@link module:@lumjs/web-app/storage.get} for details.
+   * @param {string} [opts.key='lum-web-app-state'] Storage key.
+   * @param {number} [opts.version=1] Current schema version;
+   * see `migrate()` for details.
+   * @param {number} [opts.delay=250] Delay (in ms) used to debounce saves.
+   * 
+   * @returns {object} `this`
+   */
+  persist(paths, opts={})
+  {
+    let conf = this[CTX.STATE_PERSIST];
+    if (!conf)
+    {
+      conf = 
+      {
+        paths: [],
+        storage: null,
+        key: 'lum-web-app-state',
+        version: 1,
+        delay: 250,
+        timer: null,
+        restored: false,
+        restoring: false,
+      };
+      def(this, CTX.STATE_PERSIST, conf);
+    }
+
+    if (opts.storage !== undefined || !conf.storage)
+    {
+      conf.storage = storage.get(opts.storage ?? 'local');
+    }
+
+    for (const oname of ['key','version','delay'])
+    {
+      if (opts[oname] !== undefined)
+      {
+        conf[oname] = opts[oname];
+      }
+    }
+
+    for (const path of [].concat(paths))
+    {
+      if (typeof path === S && !conf.paths.includes(path))
+      {
+        conf.paths.push(path);
+        this.watch(path, () => this._saveLater());
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Register a schema migration function.
+   * 
+   * When persisted state is restored, if the stored version is older
+   * than the current `version` option (see `persist()`), then all 
+   * migrations with a version newer than the stored version, and not
+   * newer than the current version, are called in version order.
+   * 
+   * @param {number} version - The schema version this migrates to.
+   * @param {function} fn - The migration function.
+   * 
+   * Will be passed the stored data (a plain object where the keys are the
+   * persisted property paths), and the stored version number. It may
+   * modify the data object directly, or return a new data object.
+   * 
+   * @returns {object} `this`
+   */
+  migrate(version, fn)
+  {
+    if (typeof version !== N || typeof fn !== F)
+    {
+      throw new TypeError("migrate() requires a version number and function");
+    }
+
+    const migrations = this[CTX.STATE_MIGRATE];
+    migrations.push({version, fn});
+    migrations.sort((a,b) => a.version - b.version);
+    return this;
+  }
+
+  /**
+   * Restore persisted state from the storage adapter.
+   * 
+   * Called automatically by `app.start()`.
+   * 
+   * @param {boolean} [force=false] Restore even if already restored?
+   * @returns {(undefined|Promise)} A promise if the adapter is async.
+   */
+  restore(force=false)
+  {
+    const conf = this[CTX.STATE_PERSIST];
+    if (!conf || (conf.restored && !force))
+    {
+      return;
+    }
+
+    conf.restored = true;
+
+    const failed = (err) =>
+    {
+      console.error("Could not restore state", {err, state: this});
+    }
+
+    try
+    {
+      const stored = conf.storage.load(conf.key);
+      if (isThenable(stored))
+      {
+        return Promise.resolve(stored)
+          .then(stored => this._restore(stored))
+          .catch(failed);
+      }
+      this._restore(stored);
+    }
+    catch (err)
+    {
+      failed(err);
+    }
+  }
+
+  // part of restore()
+  _restore(stored)
+  {
+    if (!isObj(stored) || !isObj(stored.data))
+    { // Nothing to restore.
+      return;
+    }
+
+    const conf = this[CTX.STATE_PERSIST];
+    const version = stored.version ?? 0;
+    let data = stored.data;
+
+    if (version > conf.version)
+    {
+      console.warn("Stored state has a newer version", {stored, state: this});
+      return;
+    }
+
+    for (const mig of this[CTX.STATE_MIGRATE])
+    {
+      if (mig.version > version && mig.version <= conf.version)
+      {
+        const newData = mig.fn.call(this, data, version);
+        if (isObj(newData))
+        {
+          data = newData;
+        }
+      }
+    }
+
+    conf.restoring = true;
+    try
+    {
+      for (const path of conf.paths)
+      {
+        if (path in data)
+        {
+          this.set(path, data[path]);
+        }
+      }
+      // Report the changes now, so they aren't saved again.
+      this.flush();
+    }
+    finally
+    {
+      conf.restoring = false;
+    }
+  }
+
+  // part of persist()
+  _saveLater()
+  {
+    const conf = this[CTX.STATE_PERSIST];
+    if (conf.restoring)
+    { // The values were just loaded from storage.
+      return;
+    }
+
+    clearTimeout(conf.timer);
+    conf.timer = setTimeout(() =>
+    {
+      const saved = this.save();
+      if (isThenable(saved))
+      {
+        saved.catch(err => console.error("Could not save state", 
+          {err, state: this}));
+      }
+    }, conf.delay);
+  }
+
+  /**
+   * Save the persisted paths right away.
+   * 
+   * Changes are saved automatically, so you don't generally need to call
+   * this, but it may be useful before the page is unloaded.
+   * 
+   * @returns {(undefined|Promise)} A promise if the adapter is async.
+   */
+  save()
+  {
+    const conf = this[CTX.STATE_PERSIST];
+    if (!conf)
+    {
+      return;
+    }
+
+    clearTimeout(conf.timer);
+    conf.timer = null;
+
+    const data = {};
+    for (const path of conf.paths)
+    {
+      const value = this.get(path);
+      if (value !== undefined)
+      {
+        data[path] = value;
+      }
+    }
+
+    return conf.storage.save(conf.key, {version: conf.version, data});
+  }
+
+  /**
+   * Report any pending changes right away.
+   * 
+   * This is called automatically once per tick if there were changes,
+   * so you shouldn't generally need to call it manually.
+   * 
+   * @returns {object} `this`
+   */
+  flush()
+  {
+    const queue = this[CTX.STATE_QUEUE];
+    const olds  = this[CTX.STATE_OLD];
+    const changes = Array.from(queue.values());
+    const oldValues = new Map(olds);
+
+    queue.clear();
+    olds.clear();
+
+    if (changes.length === 0)
+    {
+      return this;
+    }
+
+    for (const watcher of this[CTX.STATE_WATCH].slice())
+    {
+      const wpath = watcher.path;
+      const matched = changes.filter(c => related(c.path, wpath));
+      if (matched.length)
+      {
+        try
+        {
+          watcher.handler.call(this,
+          {
+            path: wpath,
+            value: this.get(wpath),
+            oldValue: oldValues.get(wpath),
+            changes: matched,
+          });
+        }
+        catch (err)
+        { // Don't let one watcher stop the others.
+          console.error("State watcher failed", {err, watcher, state: this});
+        }
+      }
+    }
+
+    this[CTX.STATE_APP].triggerAll('stateChange', changes);
+
+    return this;
+  }
+
+}
+
+def(AppState, 'related', related);
+
+module.exports = AppState;
@@ -0,0 +1,220 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,S,isObj} = core.types;
+
+/**
+ * Storage adapters for persistent app state.
+ * 
+ * Every adapter has the same three methods: `load(key)`, `save(key, value)`
+ * and `remove(key)`. They may either return their results directly, or
+ * return promises (the `IndexedDB` adapter is always async).
+ * 
+ * Values must be plain data that can be serialized as JSON.
+ * 
+ * @module module:@lumjs/web-app/storage
+ */
+
+/**
+ * An in-memory storage adapter.
+ * 
+ * Nothing is actually persisted, so it's mostly useful for tests.
+ * 
+ * @alias module:@lumjs/web-app/storage.Memory
+ */
+class MemoryStorage
+{
+  constructor()
+  {
+    this.data = new Map();
+  }
+
+  load(key)
+  {
+    const json = this.data.get(key);
+    return (json === undefined) ? undefined : JSON.parse(json);
+  }
+
+  save(key, value)
+  {
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  remove(key)
+  {
+    this.data.delete(key);
+  }
+}
+
+/**
+ * A storage adapter for the Web Storage API.
+ * 
+ * @alias module:@lumjs/web-app/storage.WebStorage
+ */
+class WebStorage
+{
+  /**
+   * Build an adapter.
+   * @param {Storage} storage - Usually `localStorage` or `sessionStorage`.
+   */
+  constructor(storage)
+  {
+    this.storage = storage;
+  }
+
+  load(key)
+  {
+    const json = this.storage.getItem(key);
+    return (json === null) ? undefined : JSON.parse(json);
+  }
+
+  save(key, value)
+  {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  remove(key)
+  {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * Return an adapter for `localStorage`.
+   * @returns {module:@lumjs/web-app/storage.WebStorage}
+   */
+  static local()
+  {
+    return new this(globalThis.localStorage);
+  }
+
+  /**
+   * Return an adapter for `sessionStorage`.
+   * @returns {module:@lumjs/web-app/storage.WebStorage}
+   */
+  static session()
+  {
+    return new this(globalThis.sessionStorage);
+  }
+}
+
+/**
+ * A storage adapter for IndexedDB.
+ * 
+ * All methods return promises.
+ * 
+ * @alias module:@lumjs/web-app/storage.IndexedDB
+ */
+class IndexedDBStorage
+{
+  /**
+   * Build an adapter.
+   * @param {object} [opts] Options
+   * @param {string} [opts.dbName='lum-web-app'] Database name.
+   * @param {string} [opts.storeName='state'] Object store name.
+   * @param {IDBFactory} [opts.indexedDB=globalThis.indexedDB] 
+   */
+  constructor(opts={})
+  {
+    this.dbName    = opts.dbName    ?? 'lum-web-app';
+    this.storeName = opts.storeName ?? 'state';
+    this.factory   = opts.indexedDB ?? globalThis.indexedDB;
+    this.db = null;
+  }
+
+  // Open the database (once).
+  _open()
+  {
+    if (!this.db)
+    {
+      this.db = new Promise((resolve, reject) =>
+      {
+        const req = this.factory.open(this.dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(this.storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }).catch(err =>
+      { // Try again next time.
+        this.db = null;
+        throw err;
+      });
+    }
+    return this.db;
+  }
+
+  // Run a request in a transaction.
+  async _request(mode, fn)
+  {
+    const db = await this._open();
+    return new Promise((resolve, reject) =>
+    {
+      const store = db.transaction(this.storeName, mode)
+        .objectStore(this.storeName);
+      const req = fn(store);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  load(key)
+  {
+    return this._request('readonly', store => store.get(key));
+  }
+
+  save(key, value)
+  {
+    return this._request('readwrite', store => store.put(value, key));
+  }
+
+  remove(key)
+  {
+    return this._request('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Get a storage adapter.
+ * 
+ * @param {(string|object)} adapter - Adapter to use.
+ * 
+ * If this is an `object` with `load` and `save` methods, it is returned
+ * as is. Otherwise it must be one of the following strings:
+ * 
+ * - `'local'`     : `WebStorage` using `localStorage`.
+ * - `'session'`   : `WebStorage` using `sessionStorage`.
+ * - `'indexedDB'` : `IndexedDB` with default options.
+ * - `'memory'`    : `Memory` adapter.
+ * 
+ * @returns {object} The storage adapter.
+ * @throws {TypeError} If `adapter` is not valid.
+ * @alias module:@lumjs/web-app/storage.get
+ */
+function getStorage(adapter)
+{
+  if (isObj(adapter) && typeof adapter.load === F 
+    && typeof adapter.save === F)
+  {
+    return adapter;
+  }
+
+  if (typeof adapter === S)
+  {
+    switch (adapter)
+    {
+      case 'local':     return WebStorage.local();
+      case 'session':   return WebStorage.session();
+      case 'indexedDB': return new IndexedDBStorage();
+      case 'memory':    return new MemoryStorage();
+    }
+  }
+
+  console.error({adapter});
+  throw new TypeError("Invalid storage adapter");
+}
+
+module.exports =
+{
+  Memory: MemoryStorage,
+  WebStorage,
+  IndexedDB: IndexedDBStorage,
+  get: getStorage,
+}
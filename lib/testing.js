@@ -0,0 +1,501 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {def,F,S,N,isObj} = core.types;
+const App = require('./app');
+
+/**
+ * A kit for testing apps and extensions without a browser.
+ * 
+ * @module module:@lumjs/web-app/testing
+ */
+
+/**
+ * The error thrown by failed expectations.
+ * @alias module:@lumjs/web-app/testing.ExpectationError
+ */
+class ExpectationError extends Error
+{
+  constructor(message, details)
+  {
+    super(message);
+    this.name = 'ExpectationError';
+    this.details = details;
+  }
+}
+
+/**
+ * A ready signal that is only fired when you say so.
+ * 
+ * Pass the `whenReady` method as `options.whenReady` to an App.
+ * 
+ * @alias module:@lumjs/web-app/testing.ReadySignal
+ */
+class ReadySignal
+{
+  constructor()
+  {
+    this.fired = false;
+    this.callbacks = [];
+    this.whenReady = (fn) =>
+    {
+      if (this.fired)
+      {
+        fn();
+      }
+      else
+      {
+        this.callbacks.push(fn);
+      }
+    }
+  }
+
+  /**
+   * Fire the signal, calling all registered callbacks.
+   * @returns {object} `this`
+   */
+  fire()
+  {
+    if (!this.fired)
+    {
+      this.fired = true;
+      for (const fn of this.callbacks.splice(0))
+      {
+        fn();
+      }
+    }
+    return this;
+  }
+}
+
+/**
+ * Records every event triggered on the targets it is attached to.
+ * 
+ * Each record has `seq`, `target`, `type`, `args`, and `time` properties.
+ * 
+ * @prop {Array} records - All records in the order they were triggered.
+ * 
+ * @alias module:@lumjs/web-app/testing.EventRecorder
+ */
+class EventRecorder
+{
+  /**
+   * Build a recorder.
+   * @param {object} [opts] Options
+   * @param {function} [opts.now] Function returning the current time;
+   * defaults to `Date.now`. A `FakeClock#now` works nicely here.
+   */
+  constructor(opts={})
+  {
+    this.records = [];
+    this.now = opts.now ?? (() => Date.now());
+    this.attached = new Map();
+  }
+
+  /**
+   * Start recording events triggered on a target.
+   * 
+   * Wraps the `trigger` method of the target (and the `emit` alias).
+   * 
+   * @param {object} target - An App, Extension, or other observable.
+   * @returns {object} `this`
+   */
+  attach(target)
+  {
+    if (this.attached.has(target) || typeof target.trigger !== F)
+    {
+      return this;
+    }
+
+    const orig = target.trigger;
+    const recorder = this;
+    const wrapped = function(type, ...args)
+    {
+      recorder.records.push(
+      {
+        seq: recorder.records.length,
+        target, type, args,
+        time: recorder.now(),
+      });
+      return orig.call(this, type, ...args);
+    }
+
+    this.attached.set(target, orig);
+    def(target, 'trigger', wrapped);
+    def(target, 'emit', wrapped);
+    return this;
+  }
+
+  /**
+   * Stop recording events on a target (or all targets).
+   * @param {object} [target] Target to detach; if omitted, all are.
+   * @returns {object} `this`
+   */
+  detach(target)
+  {
+    const targets = target ? [target] : Array.from(this.attached.keys());
+    for (const t of targets)
+    {
+      const orig = this.attached.get(t);
+      if (orig)
+      {
+        def(t, 'trigger', orig);
+        def(t, 'emit', orig);
+        this.attached.delete(t);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Find records.
+   * @param {string} [type] Event name (any if not specified).
+   * @param {object} [opts] Options
+   * @param {object} [opts.on] Only records from this target.
+   * @returns {Array}
+   */
+  find(type, opts={})
+  {
+    return this.records.filter(rec => 
+      (type === undefined || rec.type === type)
+      && (opts.on === undefined || rec.target === opts.on));
+  }
+
+  /**
+   * Count records.
+   * @param {string} [type] Event name.
+   * @param {object} [opts] Same as `find()`.
+   * @returns {number}
+   */
+  count(type, opts)
+  {
+    return this.find(type, opts).length;
+  }
+
+  /**
+   * The event names in the order they were triggered.
+   * @param {object} [opts] Same as `find()`.
+   * @returns {string[]}
+   */
+  types(opts)
+  {
+    return this.find(undefined, opts).map(rec => rec.type);
+  }
+
+  /**
+   * Clear all records.
+   * @returns {object} `this`
+   */
+  clear()
+  {
+    this.records.length = 0;
+    return this;
+  }
+
+  /**
+   * Expect an event to have been triggered.
+   * 
+   * @param {string} type - Event name.
+   * @param {object} [opts] Options
+   * @param {object} [opts.on] Must have been triggered on this target.
+   * @param {number} [opts.times] Must have been triggered exactly this
+   * many times; if not specified, at least once is expected.
+   * @param {Array} [opts.args] The first argument(s) of at least one of
+   * the matching records must be strictly equal to these.
+   * 
+   * @returns {Array} The matching records.
+   * @throws {module:@lumjs/web-app/testing.ExpectationError}
+   */
+  expectEmitted(type, opts={})
+  {
+    let found = this.find(type, opts);
+    const where = opts.on ? ` on ${describe(opts.on)}` : '';
+
+    if (Array.isArray(opts.args))
+    {
+      found = found.filter(rec => 
+        opts.args.every((arg, i) => rec.args[i] === arg));
+    }
+
+    if (typeof opts.times === N)
+    {
+      if (found.length !== opts.times)
+      {
+        throw new ExpectationError(`Expected '${type}'${where} to be emitted `
+          + `${opts.times} time(s), but it was emitted ${found.length}`,
+          {type, opts, found});
+      }
+    }
+    else if (found.length === 0)
+    {
+      throw new ExpectationError(`Expected '${type}'${where} to be emitted`,
+        {type, opts, records: this.records});
+    }
+
+    return found;
+  }
+
+  /**
+   * Expect an event to NOT have been triggered.
+   * @param {string} type - Event name.
+   * @param {object} [opts] Same as `find()`.
+   * @returns {object} `this`
+   * @throws {module:@lumjs/web-app/testing.ExpectationError}
+   */
+  expectNotEmitted(type, opts={})
+  {
+    return this.expectEmitted(type, Object.assign({}, opts, {times: 0}))
+      && this;
+  }
+}
+
+// A short description of a target for error messages.
+function describe(target)
+{
+  if (target instanceof App) return 'app';
+  const id = (typeof target?.getApp === F && target.getApp()) 
+    ? target.id 
+    : undefined;
+  return (typeof id === S) ? `'${id}'` : target?.constructor?.name;
+}
+
+/**
+ * A fake clock for controlling timers.
+ * 
+ * @alias module:@lumjs/web-app/testing.FakeClock
+ */
+class FakeClock
+{
+  /**
+   * Build a fake clock.
+   * @param {number} [start=0] The starting time.
+   */
+  constructor(start=0)
+  {
+    this.time = start;
+    this.timers = new Map();
+    this.nextId = 1;
+    this.originals = null;
+
+    this.now = () => this.time;
+    this.setTimeout = (fn, ms=0, ...args) => 
+      this._add(fn, ms, args, false);
+    this.setInterval = (fn, ms=0, ...args) => 
+      this._add(fn, ms, args, true);
+    this.clearTimeout = this.clearInterval = (id) => 
+      this.timers.delete(id);
+  }
+
+  _add(fn, ms, args, repeat)
+  {
+    const id = this.nextId++;
+    ms = Math.max(0, ms);
+    this.timers.set(id, {id, fn, ms, args, repeat, at: this.time + ms});
+    return id;
+  }
+
+  // The next timer due at or before `until`.
+  _next(until)
+  {
+    let next = null;
+    for (const timer of this.timers.values())
+    {
+      if (timer.at <= until && (!next || timer.at < next.at))
+      {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  _run(timer)
+  {
+    this.time = timer.at;
+    if (timer.repeat)
+    {
+      timer.at += Math.max(1, timer.ms);
+    }
+    else
+    {
+      this.timers.delete(timer.id);
+    }
+    timer.fn(...timer.args);
+  }
+
+  /**
+   * Advance the clock, running any timers that become due.
+   * @param {number} ms - Milliseconds to advance.
+   * @returns {object} `this`
+   */
+  tick(ms)
+  {
+    const until = this.time + ms;
+    let timer;
+    while ((timer = this._next(until)))
+    {
+      this._run(timer);
+    }
+    this.time = until;
+    return this;
+  }
+
+  /**
+   * Like `tick()` but lets pending promises settle before each timer
+   * (and at the end), so async code waiting on timers can continue.
+   * @param {number} ms - Milliseconds to advance.
+   * @returns {Promise} Resolves to `this`.
+   */
+  async tickAsync(ms)
+  {
+    const until = this.time + ms;
+    const settle = () => new Promise(resolve => 
+      (this.originals?.setTimeout ?? setTimeout)(resolve, 0));
+
+    await settle();
+    let timer;
+    while ((timer = this._next(until)))
+    {
+      this._run(timer);
+      await settle();
+    }
+    this.time = until;
+    return this;
+  }
+
+  /**
+   * Run all pending (non-repeating) timers.
+   * @param {number} [limit=1000] Maximum number of timers to run.
+   * @returns {object} `this`
+   */
+  runAll(limit=1000)
+  {
+    let timer;
+    while (limit-- > 0 && (timer = this._next(Infinity)))
+    {
+      if (timer.repeat) break;
+      this._run(timer);
+    }
+    return this;
+  }
+
+  /**
+   * Replace the global timer functions and `Date.now()` with this clock.
+   * @returns {object} `this`
+   */
+  install()
+  {
+    if (!this.originals)
+    {
+      const g = globalThis;
+      this.originals = 
+      {
+        setTimeout: g.setTimeout, clearTimeout: g.clearTimeout,
+        setInterval: g.setInterval, clearInterval: g.clearInterval,
+        dateNow: Date.now,
+      };
+      g.setTimeout    = this.setTimeout;
+      g.clearTimeout  = this.clearTimeout;
+      g.setInterval   = this.setInterval;
+      g.clearInterval = this.clearInterval;
+      Date.now = this.now;
+    }
+    return this;
+  }
+
+  /**
+   * Restore the original global timer functions and `Date.now()`.
+   * @returns {object} `this`
+   */
+  uninstall()
+  {
+    const orig = this.originals;
+    if (orig)
+    {
+      const g = globalThis;
+      g.setTimeout    = orig.setTimeout;
+      g.clearTimeout  = orig.clearTimeout;
+      g.setInterval   = orig.setInterval;
+      g.clearInterval = orig.clearInterval;
+      Date.now = orig.dateNow;
+      this.originals = null;
+    }
+    return this;
+  }
+}
+
+/**
+ * Build an App for testing.
+ * 
+ * The App is built with a `ReadySignal` in place of the DOM ready event,
+ * and an `EventRecorder` attached to the App and every extension added
+ * to it (from their `init` events onwards; except for extensions that
+ * were built without an app, which are recorded from when they're added).
+ * 
+ * @param {object} [opts] Options
+ * @param {function} [opts.App] The App class to use; a sub-class of it is
+ * built to attach the recorder. Default: `@lumjs/web-app/app`
+ * @param {object} [opts.options] Options for the App constructor.
+ * @param {boolean} [opts.fakeClock=false] Create and install a FakeClock?
+ * 
+ * @returns {object} A test kit with the following properties:
+ * 
+ * - `app`      : The App instance.
+ * - `ready`    : The `ReadySignal`; call `ready.fire()` to start the app.
+ * - `recorder` : The `EventRecorder`.
+ * - `clock`    : The `FakeClock` (if `opts.fakeClock` was `true`).
+ * - `expectEmitted(type, opts)` : Alias to `recorder.expectEmitted()`.
+ * - `expectNotEmitted(type, opts)` : Alias to `recorder.expectNotEmitted()`.
+ * - `teardown()` : Destroys the app, detaches the recorder, and
+ *                  uninstalls the clock.
+ * 
+ * @alias module:@lumjs/web-app/testing.createTestApp
+ */
+function createTestApp(opts={})
+{
+  const BaseApp = opts.App ?? App;
+  const clock = opts.fakeClock ? new FakeClock().install() : null;
+  const ready = new ReadySignal();
+  const recorder = new EventRecorder(clock ? {now: clock.now} : {});
+
+  class TestApp extends BaseApp
+  {
+    init()
+    {
+      recorder.attach(this);
+      return super.init(...arguments);
+    }
+
+    _setupExt(ext)
+    { // Before the extension's init event.
+      recorder.attach(ext);
+      return super._setupExt(ext);
+    }
+  }
+
+  const options = Object.assign({}, 
+    isObj(opts.options) ? opts.options : {},
+    {whenReady: ready.whenReady});
+
+  const app = new TestApp(options);
+
+  return {
+    app, ready, recorder, clock,
+    expectEmitted: (type, eopts) => recorder.expectEmitted(type, eopts),
+    expectNotEmitted: (type, eopts) => recorder.expectNotEmitted(type, eopts),
+    teardown()
+    {
+      app.destroy();
+      recorder.detach();
+      clock?.uninstall();
+    },
+  };
+}
+
+module.exports =
+{
+  createTestApp,
+  EventRecorder,
+  ExpectationError,
+  FakeClock,
+  ReadySignal,
+}
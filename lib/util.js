@@ -1,10 +1,171 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {def,F,B} = core.types;
+const {def,F,S,B,isObj,isNil} = core.types;
+
+// Does a value match a schema type?
+function matchType(value, type)
+{
+  if (Array.isArray(type)) return type.some(t => matchType(value, t));
+  if (typeof type === F) return (value instanceof type);
+  switch (type)
+  {
+    case 'any':    return true;
+    case 'array':  return Array.isArray(value);
+    case 'object': return (isObj(value) && !Array.isArray(value));
+    default:       return (typeof value === type);
+  }
+}
+
+// A readable name for a schema type.
+function typeName(type)
+{
+  if (Array.isArray(type)) return type.map(typeName).join(' or ');
+  return (typeof type === F) ? type.name : type;
+}
 
 module.exports =
 {
+  /**
+   * Apply an options schema.
+   * 
+   * @param {object} schema - Each key is an option name, and the value
+   * is a rule object with the following (optional) properties:
+   * 
+   * - `type`: A `typeof` string, `'array'`, `'object'`, `'any'`,
+   *   a class constructor (for `instanceof` tests), or an array of those.
+   * - `default`: The default value; if it is a function, it will be
+   *   called to get the default (useful for objects and arrays).
+   * - `required`: If `true`, the option must have a value.
+   * - `validate`: A function passed the value, that must return `true`
+   *   if it is valid, or an error message string if it is not.
+   * 
+   * A rule may also be just a `type` value.
+   * 
+   * @param {...object} layers - Option values; later layers win.
+   * Any options not in the schema are kept as is.
+   * 
+   * @returns {object} An object with two properties:
+   * 
+   * - `options`: The merged options (with defaults).
+   * - `errors`: An array of error messages (empty if valid).
+   */
+  applySchema(schema, ...layers)
+  {
+    const options = Object.assign({}, ...layers.filter(isObj));
+    const errors = [];
+
+    for (const name in schema)
+    {
+      let rule = schema[name];
+      if (!isObj(rule) || Array.isArray(rule)) rule = {type: rule};
+
+      if (options[name] === undefined && rule.default !== undefined)
+      {
+        options[name] = (typeof rule.default === F) 
+          ? rule.default() 
+          : rule.default;
+      }
+
+      const value = options[name];
+      if (isNil(value))
+      {
+        if (rule.required)
+        {
+          errors.push(`'${name}' is required`);
+        }
+        continue;
+      }
+
+      if (!isNil(rule.type) && !matchType(value, rule.type))
+      {
+        errors.push(`'${name}' must be of type ${typeName(rule.type)}`);
+        continue;
+      }
+
+      if (typeof rule.validate === F)
+      {
+        const valid = rule.validate(value);
+        if (valid !== true)
+        {
+          errors.push((typeof valid === S) 
+            ? `'${name}' ${valid}` 
+            : `'${name}' is invalid`);
+        }
+      }
+    }
+
+    return {options, errors};
+  },
+
+  isThenable(value)
+  {
+    return (value !== null 
+      && (typeof value === 'object' || typeof value === F)
+      && typeof value.then === F);
+  },
+
+  /**
+   * Compile a route pattern into a RegExp and list of param names.
+   * 
+   * Used by the `router` and `mock` sub-modules.
+   * 
+   * @param {(string|RegExp)} pattern 
+   * @returns {object} `{regex, keys}`; `keys` will be `null` if the
+   * `pattern` was a RegExp (named capture groups are used instead).
+   */
+  compileRoute(pattern)
+  {
+    if (pattern instanceof RegExp)
+    { // Named capture groups will be used as params.
+      return {regex: pattern, keys: null};
+    }
+
+    const keys = [];
+    const parts = pattern.split('/').map(part =>
+    {
+      if (part === '*')
+      {
+        keys.push('wildcard');
+        return '(.*)';
+      }
+      else if (part.startsWith(':'))
+      {
+        const optional = part.endsWith('?');
+        keys.push(part.slice(1, optional ? -1 : undefined));
+        return optional ? '?([^/]*)' : '([^/]+)';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+    return {regex: new RegExp('^'+parts.join('/')+'/?$'), keys};
+  },
+
+  /**
+   * Parse a query string into a plain object.
+   * 
+   * Keys used more than once will have an array of values.
+   * 
+   * @param {string} search - Query string (with or without the `?`).
+   * @returns {object}
+   */
+  parseQuery(search)
+  {
+    const query = {};
+    for (const [key, value] of new URLSearchParams(search))
+    {
+      if (key in query)
+      {
+        query[key] = [].concat(query[key], value);
+      }
+      else
+      {
+        query[key] = value;
+      }
+    }
+    return query;
+  },
+
   makeObservable(obj, options)
   {
     const evtOpts 